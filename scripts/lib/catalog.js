@@ -0,0 +1,159 @@
+'use strict'
+
+/**
+ * Mirror catalog
+ *
+ * An index.json listing every cached package version with its platforms,
+ * assets, sizes, checksums, mirror and upstream URLs, merged from the manifest.json of
+ * every release on every storage backend, and an index.html view of the same.
+ * Both are published as assets of the `mirror-index` release, so tooling and
+ * people can check what is cached without paging through releases.
+ */
+
+const { compareVersions } = require('./retention')
+
+const CATALOG_VERSION = 1
+const CATALOG_FILENAME = 'index.json'
+const CATALOG_PAGE_FILENAME = 'index.html'
+
+function buildCatalog(entries, packages, generatedAt = new Date().toISOString()) {
+  const catalogPackages = {}
+
+  // Earlier backends in the config win when several hold the same version
+  for (const { storage, release, manifest } of entries) {
+    const packageName = manifest.package
+    if (!catalogPackages[packageName]) {
+      const config = packages[packageName]
+      catalogPackages[packageName] = {
+        name: config ? config.name : manifest.name,
+        type: config ? config.type : null,
+        versions: {}
+      }
+    }
+
+    const versions = catalogPackages[packageName].versions
+    if (!versions[manifest.version]) {
+      // Links point at what this backend serves, url stays the upstream one
+      const downloadUrls = new Map(release.assets.map(asset => [asset.name, asset.downloadUrl]))
+      versions[manifest.version] = {
+        tag: release.tag,
+        cachedAt: manifest.createdAt,
+        // Companion artifacts (chromedriver next to Electron...) don't add platforms of their own
+        platforms: [...new Set(manifest.assets.filter(asset => asset.platform && !asset.kind).map(asset => `${asset.platform}-${asset.arch}`))],
+        storage: [],
+        assets: manifest.assets.map(({ name, kind, platform, arch, size, sha256, url, mirrorPath, format, parts }) => ({
+          name,
+          ...(kind ? { kind } : {}),
+          platform,
+          arch,
+          size,
+          sha256,
+          url,
+          downloadUrl: downloadUrls.get(name) || null,
+          ...(mirrorPath ? { mirrorPath } : {}),
+          ...(format ? { format } : {}),
+          ...(parts ? { parts: parts.map(part => ({ ...part, downloadUrl: downloadUrls.get(part.name) || null })) } : {})
+        })),
+        skipped: manifest.skipped || []
+      }
+    }
+    versions[manifest.version].storage.push({ name: storage.name, url: release.url })
+  }
+
+  // Newest versions first, packages in name order
+  const sorted = {}
+  for (const packageName of Object.keys(catalogPackages).sort()) {
+    const entry = catalogPackages[packageName]
+    const versionNames = Object.keys(entry.versions).sort((a, b) => compareVersions(b, a))
+    sorted[packageName] = {
+      name: entry.name,
+      type: entry.type,
+      latest: versionNames[0],
+      versions: Object.fromEntries(versionNames.map(version => [version, entry.versions[version]]))
+    }
+  }
+
+  return { catalogVersion: CATALOG_VERSION, generatedAt, packages: sorted }
+}
+
+function formatSize(bytes) {
+  if (typeof bytes !== 'number') {
+    return ''
+  }
+  const units = ['B', 'KiB', 'MiB', 'GiB']
+  let size = bytes
+  let unit = 0
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024
+    unit++
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`)
+}
+
+function renderLink(url, text) {
+  return url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text)
+}
+
+function renderCatalogPage(catalog) {
+  const sections = Object.entries(catalog.packages).map(([packageName, entry]) => {
+    const rows = Object.entries(entry.versions).map(([version, details]) => {
+      const assets = details.assets.map(asset => {
+        // Split assets are served as their parts
+        const links = asset.parts
+          ? `${escapeHtml(asset.name)} (${asset.parts.map(part => renderLink(part.downloadUrl, part.name)).join(', ')})`
+          : renderLink(asset.downloadUrl, asset.name)
+        const upstream = asset.url ? ` <a href="${escapeHtml(asset.url)}" class="upstream">upstream</a>` : ''
+        return `<li>${links} ${formatSize(asset.size)}${upstream} <code title="sha256">${escapeHtml(asset.sha256 || '')}</code></li>`
+      })
+      return `<tr id="${escapeHtml(`${packageName}@${version}`)}">
+<td>${escapeHtml(version)}</td>
+<td>${escapeHtml(details.platforms.join(', '))}</td>
+<td><ul>${assets.join('')}</ul></td>
+<td>${details.storage.map(storage => escapeHtml(storage.name)).join('<br>')}</td>
+<td>${escapeHtml(details.cachedAt || '')}</td>
+</tr>`
+    })
+    return `<h2 id="${escapeHtml(packageName)}">${escapeHtml(entry.name)} <small>${escapeHtml(packageName)}</small></h2>
+<table>
+<thead><tr><th>Version</th><th>Platforms</th><th>Assets</th><th>Storage</th><th>Cached</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Package mirror catalog</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+ul { margin: 0; padding-left: 1.2em; }
+code { font-size: 0.8em; color: #555; }
+.upstream { font-size: 0.8em; color: #555; }
+</style>
+</head>
+<body>
+<h1>Package mirror catalog</h1>
+<p>Generated ${escapeHtml(catalog.generatedAt)}. Machine-readable version: <a href="${CATALOG_FILENAME}">${CATALOG_FILENAME}</a>.</p>
+${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+module.exports = {
+  CATALOG_VERSION,
+  CATALOG_FILENAME,
+  CATALOG_PAGE_FILENAME,
+  buildCatalog,
+  renderCatalogPage,
+  formatSize
+}
@@ -0,0 +1,93 @@
+'use strict'
+
+/**
+ * Release checksums and manifests
+ *
+ * Every release gets a SHA256SUMS file (in `sha256sum -c` format) and a
+ * manifest.json describing where each asset came from, so consumers can
+ * check that a mirrored download is complete and unmodified.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+const CHECKSUMS_FILENAME = 'SHA256SUMS'
+const MANIFEST_FILENAME = 'manifest.json'
+const MANIFEST_VERSION = 1
+
+function hashFile(filepath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm)
+    let size = 0
+
+    fs.createReadStream(filepath)
+      .on('data', (chunk) => {
+        size += chunk.length
+        hash.update(chunk)
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ digest: hash.digest('hex'), size }))
+  })
+}
+
+function createChecksumsFile(assets) {
+  // Split assets are listed by the parts the release actually holds
+  return assets
+    .flatMap(asset => asset.parts || [asset])
+    .map(asset => `${asset.sha256}  ${asset.name}`)
+    .join('\n') + '\n'
+}
+
+function createManifest(packageName, version, tagName, config, assets, skipped = []) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    package: packageName,
+    name: config.name,
+    version,
+    tag: tagName,
+    createdAt: new Date().toISOString(),
+    assets: assets.map(asset => ({
+      name: asset.name,
+      url: asset.url,
+      size: asset.size,
+      sha256: asset.sha256,
+      os: asset.os,
+      platform: asset.platform,
+      arch: asset.arch,
+      // Companion artifacts name their kind (chromedriver, ffmpeg...), the package's own artifacts don't
+      ...(asset.kind ? { kind: asset.kind } : {}),
+      // Path under the upstream download host, for tools that fetch by path (PLAYWRIGHT_DOWNLOAD_HOST)
+      ...(asset.mirrorPath ? { mirrorPath: asset.mirrorPath, hostPlatforms: asset.hostPlatforms } : {}),
+      // The filename template's name when the asset was renamed after its real format
+      ...(asset.artifact && asset.artifact !== asset.name ? { artifact: asset.artifact } : {}),
+      ...(asset.format ? { format: asset.format } : {}),
+      // What upstream published, when a provider repackaged it
+      ...(asset.originalFormat ? { originalFormat: asset.originalFormat } : {}),
+      // In order, for assets over the backend's size limit, joined they give size and sha256 above
+      ...(asset.parts ? { parts: asset.parts.map(({ name, size, sha256 }) => ({ name, size, sha256 })) } : {}),
+      downloadedAt: asset.downloadedAt
+    })),
+    // Targets the provider declares but upstream does not publish for this version
+    skipped: skipped.map(({ name, os, platform, arch, reason }) => ({ name, os, platform, arch, reason }))
+  }
+}
+
+function parseManifest(content) {
+  const manifest = JSON.parse(content)
+  if (!manifest || !Array.isArray(manifest.assets)) {
+    throw new Error(`${MANIFEST_FILENAME} has no assets list`)
+  }
+  if (manifest.manifestVersion > MANIFEST_VERSION) {
+    throw new Error(`Unsupported ${MANIFEST_FILENAME} version ${manifest.manifestVersion}`)
+  }
+  return manifest
+}
+
+module.exports = {
+  CHECKSUMS_FILENAME,
+  MANIFEST_FILENAME,
+  hashFile,
+  createChecksumsFile,
+  createManifest,
+  parseManifest
+}
@@ -0,0 +1,52 @@
+'use strict'
+
+/**
+ * Chrome for Testing layout
+ *
+ * Chrome for Testing builds live at `<version>/<platform>/<binary>-<platform>.zip`
+ * in a public bucket. Puppeteer's @puppeteer/browsers requests the same paths
+ * below PUPPETEER_DOWNLOAD_BASE_URL, so assets record them as their mirror path.
+ * The JSON endpoints list every version and which one each channel is on.
+ */
+
+const { fetchJson } = require('./http')
+const { compareVersions } = require('./retention')
+
+const CHROME_FOR_TESTING_URL = 'https://storage.googleapis.com/chrome-for-testing-public'
+const CHROME_FOR_TESTING_API = 'https://googlechromelabs.github.io/chrome-for-testing'
+
+// Chrome for Testing publishes no Linux arm64 builds
+const CHROME_FOR_TESTING_PLATFORMS = {
+  'linux-x64': 'linux64',
+  'darwin-x64': 'mac-x64',
+  'darwin-arm64': 'mac-arm64',
+  'win32-x64': 'win64',
+  'win32-ia32': 'win32'
+}
+
+function getChromeForTestingPath(version, platform, arch, binary = 'chrome') {
+  const cftPlatform = CHROME_FOR_TESTING_PLATFORMS[`${platform}-${arch}`]
+  return `${version}/${cftPlatform}/${binary}-${cftPlatform}.zip`
+}
+
+function getChromeForTestingUrl(version, platform, arch, binary = 'chrome') {
+  return `${CHROME_FOR_TESTING_URL}/${getChromeForTestingPath(version, platform, arch, binary)}`
+}
+
+async function listChromeForTestingReleases() {
+  const [{ channels }, { versions }] = await Promise.all([
+    fetchJson(`${CHROME_FOR_TESTING_API}/last-known-good-versions.json`),
+    fetchJson(`${CHROME_FOR_TESTING_API}/known-good-versions.json`)
+  ])
+  // Builds newer than the Stable channel are still on Beta, Dev or Canary
+  const stable = channels.Stable.version
+  return versions.map(({ version }) => ({ version, prerelease: compareVersions(version, stable) > 0 }))
+}
+
+module.exports = {
+  CHROME_FOR_TESTING_URL,
+  CHROME_FOR_TESTING_PLATFORMS,
+  getChromeForTestingPath,
+  getChromeForTestingUrl,
+  listChromeForTestingReleases
+}
@@ -0,0 +1,224 @@
+'use strict'
+
+/**
+ * Mirror client
+ *
+ * For projects that install from the mirror. Resolves the assets of a package
+ * version for one platform to where the mirror holds them, downloads them with
+ * their published sha256 checked, and falls back to the upstream URL from the
+ * provider config when the mirror doesn't have them (or has a bad copy).
+ * Asset and tag names come from the same config and helpers the cacher uses.
+ * Companion artifacts (Electron's chromedriver...) are resolved with `kind`.
+ * Assets the mirror holds in parts are fetched part by part and joined.
+ *
+ *   const { createMirrorClient } = require('package-mirror/scripts/lib/client')
+ *   const client = createMirrorClient()
+ *   const assets = await client.fetch('electron', '27.3.1', { directory: 'downloads' })
+ *   const env = client.getEnvironment('electron', assets)
+ *   await client.fetch('electron', '27.3.1', { kind: 'chromedriver' })
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { hashFile } = require('./checksums')
+const { loadConfig } = require('./config')
+const { downloadFile } = require('./download')
+const { detectFormat, withFormatExtension } = require('./formats')
+const { verifyUpstreamIntegrity } = require('./integrity')
+const { downloadJoinedAsset } = require('./parts')
+const { getTagName, getPackageArtifacts, getArtifactConfig, findManifestEntry, findReleaseAsset, readReleaseManifest } = require('./releases')
+const { LAYOUTS } = require('./server')
+const { createStorage } = require('./storage')
+
+// Variables that point a tool's installer at one mirrored or downloaded asset
+const INSTALL_VARIABLES = {
+  // Cypress installs from a zip URL or a local path
+  cypress: ({ filepath, url }) => ({ CYPRESS_INSTALL_BINARY: filepath || url }),
+  // @electron/get requests <ELECTRON_MIRROR><ELECTRON_CUSTOM_DIR>/<ELECTRON_CUSTOM_FILENAME>
+  electron: ({ url, name }) => {
+    if (!url || !url.endsWith(`/${encodeURIComponent(name)}`)) {
+      return null
+    }
+    const directory = url.slice(0, url.lastIndexOf('/'))
+    const separator = directory.lastIndexOf('/')
+    return {
+      ELECTRON_MIRROR: directory.slice(0, separator + 1),
+      ELECTRON_CUSTOM_DIR: directory.slice(separator + 1),
+      ELECTRON_CUSTOM_FILENAME: name
+    }
+  }
+}
+
+function toResolvedAsset({ artifact, storage, asset, sha256 }, tag) {
+  const base = {
+    // Mirrored assets are named after their real format, which the filename template may not match
+    name: asset ? asset.name : artifact.filename,
+    ...(artifact.kind ? { kind: artifact.kind } : {}),
+    tag,
+    platform: artifact.platform,
+    arch: artifact.arch,
+    upstreamUrl: artifact.url,
+    ...(artifact.mirrorPath ? { mirrorPath: artifact.mirrorPath } : {})
+  }
+  if (!asset) {
+    return { ...base, source: 'upstream', storage: null, url: artifact.url, size: null, sha256: null }
+  }
+  // Only GitHub assets have a URL that works without credentials, the rest can still be fetched
+  return { ...base, source: 'mirror', storage: storage.name, url: asset.downloadUrl || null, size: asset.size, sha256 }
+}
+
+function createMirrorClient({ config = loadConfig(), storages = config.storage.map(createStorage) } = {}) {
+  function getPackageConfig(packageName) {
+    const packageConfig = config.packages[packageName]
+    if (!packageConfig) {
+      throw new Error(`${packageName} is not declared in ${config.path}, mirrored packages: ${Object.keys(config.packages).join(', ')}`)
+    }
+    return packageConfig
+  }
+
+  async function findTargets(packageName, version, { platform = process.platform, arch = process.arch, kind = null } = {}) {
+    const packageConfig = getPackageConfig(packageName)
+    const companions = Object.keys(packageConfig.companions || {})
+    if (kind && !companions.includes(kind)) {
+      throw new Error(`${packageConfig.name} has no companion "${kind}"${companions.length > 0 ? `, expected one of ${companions.join(', ')}` : ''}`)
+    }
+
+    // npm tarballs and per-version companions (SHASUMS256.txt) are the same on every platform
+    const artifacts = (await getPackageArtifacts({ name: packageName, version, config: packageConfig }))
+      .filter(artifact => (artifact.kind || null) === kind)
+      .filter(artifact => packageConfig.type === 'npm' || artifact.platform === 'any' ||
+        (artifact.platform === platform && artifact.arch === arch))
+    if (artifacts.length === 0) {
+      throw new Error(`${packageConfig.name}${kind ? ` ${kind}` : ''} is not mirrored for ${platform}-${arch}`)
+    }
+
+    const tag = getTagName(packageName, version)
+    const releases = []
+    for (const storage of storages) {
+      try {
+        const release = await storage.getRelease(tag)
+        if (release) {
+          releases.push({ storage, release, manifest: await readReleaseManifest(storage, release) })
+        }
+      } catch (error) {
+        // An unreachable backend is just another miss, upstream is still there
+        console.warn(`⚠️  Failed to look up ${tag} on ${storage.name}:`, error.message)
+      }
+    }
+
+    // Earlier backends in the config win
+    const targets = artifacts.map((artifact) => {
+      for (const { storage, release, manifest } of releases) {
+        const assetsByName = new Map(release.assets.filter(candidate => candidate.usable).map(candidate => [candidate.name, candidate]))
+        const asset = findReleaseAsset(assetsByName, manifest, artifact)
+        if (asset) {
+          const entry = findManifestEntry(manifest, artifact)
+          return { artifact, storage, release, asset, sha256: entry ? entry.sha256 : asset.sha256 }
+        }
+      }
+      return { artifact }
+    })
+    return { tag, packageConfig, targets }
+  }
+
+  async function fetchFromMirror({ storage, release, asset, sha256 }, filepath) {
+    try {
+      if (asset.parts) {
+        await downloadJoinedAsset(storage, release, asset, filepath)
+      } else {
+        await storage.downloadAsset(release, asset, filepath)
+      }
+    } catch (error) {
+      console.warn(`⚠️  Failed to download ${asset.name} from ${storage.name}:`, error.message)
+      return null
+    }
+
+    const { digest, size } = await hashFile(filepath)
+    if (!sha256) {
+      console.warn(`⚠️  ${storage.name} publishes no checksum for ${asset.name}, skipping integrity check`)
+    } else if (digest !== sha256) {
+      console.warn(`⚠️  ${asset.name} from ${storage.name} doesn't match its published sha256 ${sha256} (got ${digest})`)
+      fs.rmSync(filepath, { force: true })
+      return null
+    } else {
+      console.log(`🔐 ${asset.name} matches sha256 from ${storage.name}`)
+    }
+    return { sha256: digest, size }
+  }
+
+  async function fetchFromUpstream(artifact, packageConfig, version, filepath) {
+    const response = await downloadFile(artifact.url, filepath)
+    const download = {
+      filepath,
+      filename: artifact.filename,
+      url: artifact.url,
+      finalUrl: response.url,
+      headers: response.headers
+    }
+    try {
+      await verifyUpstreamIntegrity(download, getArtifactConfig(packageConfig, artifact), version, artifact.platform, artifact.arch)
+    } catch (error) {
+      fs.rmSync(filepath, { force: true })
+      throw error
+    }
+    // Same name the cacher would have given it, consumers extract by extension
+    const format = detectFormat(filepath, { headers: response.headers, url: response.url })
+    const name = withFormatExtension(artifact.filename, format)
+    const renamed = path.join(path.dirname(filepath), name)
+    if (renamed !== filepath) {
+      fs.renameSync(filepath, renamed)
+    }
+    const { digest, size } = await hashFile(renamed)
+    return { name, filepath: renamed, sha256: digest, size }
+  }
+
+  return {
+    async resolve(packageName, version, options) {
+      const { tag, targets } = await findTargets(packageName, version, options)
+      return targets.map(target => toResolvedAsset(target, tag))
+    },
+
+    async fetch(packageName, version, { directory = process.cwd(), ...options } = {}) {
+      const { tag, packageConfig, targets } = await findTargets(packageName, version, options)
+      fs.mkdirSync(directory, { recursive: true })
+
+      const fetched = []
+      for (const target of targets) {
+        const resolved = toResolvedAsset(target, tag)
+        const filepath = path.resolve(directory, resolved.name)
+
+        if (target.asset) {
+          console.log(`Downloading ${resolved.name} from ${target.storage.name}`)
+          const result = await fetchFromMirror(target, filepath)
+          if (result) {
+            fetched.push({ ...resolved, ...result, filepath })
+            continue
+          }
+        }
+
+        console.log(`Downloading ${resolved.name} from upstream ${target.artifact.url}`)
+        const result = await fetchFromUpstream(target.artifact, packageConfig, version, filepath)
+        fetched.push({ ...resolved, ...result, source: 'upstream', storage: null, url: target.artifact.url })
+      }
+      return fetched
+    },
+
+    getEnvironment(packageName, assets, { serverUrl } = {}) {
+      const packageConfig = getPackageConfig(packageName)
+
+      // A mirror server serves every version under the tool's own layout
+      if (serverUrl) {
+        const layout = LAYOUTS.find(candidate => candidate.isFor(packageName, packageConfig))
+        return layout ? { [layout.variable]: `${serverUrl.replace(/\/+$/, '')}${layout.mirrorPath}` } : {}
+      }
+
+      // Without one, only tools that take a single asset's location can be pointed at it, and only at their own binary
+      const getVariables = INSTALL_VARIABLES[packageName]
+      return (getVariables && assets.length === 1 && !assets[0].kind && getVariables(assets[0])) || {}
+    }
+  }
+}
+
+module.exports = {
+  createMirrorClient
+}
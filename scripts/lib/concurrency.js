@@ -0,0 +1,60 @@
+'use strict'
+
+/**
+ * Bounded concurrency
+ *
+ * A small promise limiter: tasks passed to the returned function start in
+ * call order and at most `concurrency` of them run at once. Used to download
+ * and upload several artifacts at a time without opening every connection
+ * (and writing every temp file) at once.
+ */
+
+const DEFAULT_CONCURRENCY = 4
+
+function parseConcurrency(value) {
+  const concurrency = Number(value)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}", expected a positive integer`)
+  }
+  return concurrency
+}
+
+function createLimiter(concurrency = DEFAULT_CONCURRENCY) {
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return
+    active++
+    const { task, resolve, reject } = queue.shift()
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject })
+    next()
+  })
+}
+
+async function mapSettled(items, limit, fn) {
+  // Unlike Promise.all, wait for every task so nothing is still writing when the caller cleans up
+  const results = await Promise.allSettled(items.map((item, index) => limit(() => fn(item, index))))
+  const failure = results.find(result => result.status === 'rejected')
+  if (failure) {
+    throw failure.reason
+  }
+  return results.map(result => result.value)
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  parseConcurrency,
+  createLimiter,
+  mapSettled
+}
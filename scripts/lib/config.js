@@ -0,0 +1,428 @@
+'use strict'
+
+/**
+ * Mirror configuration
+ *
+ * Loads mirror.config.js or mirror.config.json from the repository root (or
+ * the file given with --config). The file declares the source repositories to
+ * scan, the storage backends to publish to, the platform targets, how long
+ * cached releases are kept and every package the mirror caches, optionally
+ * watched upstream for new releases. Packages with a `url` template or a
+ * `provider` module are binary packages, all other packages are cached as
+ * their npm tarball. Binary packages may declare `companions`, the other
+ * files a tool downloads for the same version, which are published in the
+ * same release. Every problem in the file is reported at once, before
+ * anything is downloaded.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { getShasumsHash, fromSri } = require('./integrity')
+const { getPackument, REGISTRY_URL } = require('./registry')
+const { validateRetention, resolveRetention } = require('./retention')
+const { parseSourceRepo } = require('./sources')
+const { validateStorage } = require('./storage')
+const { validateWatch } = require('./watch')
+
+const CONFIG_FILENAMES = ['mirror.config.js', 'mirror.config.json']
+const REPO_ROOT = path.join(__dirname, '..', '..')
+const PROVIDERS_DIR = path.join(__dirname, '..', 'providers')
+
+const TEMPLATE_VARIABLES = ['version', 'platform', 'arch', 'os', 'platformName']
+const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha384', 'sha512']
+const HOOKS = ['getDownloadUrl', 'getFilename', 'getExpectedHash', 'resolveArtifacts', 'repackage', 'listVersions']
+
+const TOP_LEVEL_KEYS = ['$schema', 'sources', 'storage', 'platforms', 'retention', 'packages']
+const PACKAGE_KEYS = ['name', 'platforms', 'platformNames', 'url', 'filename', 'checksum', 'provider', 'options', 'retention', 'watch', 'companions']
+// A companion is declared like a binary package, it inherits the package's platforms, platformNames and checksum
+const COMPANION_KEYS = ['platforms', 'platformNames', 'url', 'filename', 'checksum', 'provider', 'options']
+const PLATFORM_VARIABLES = ['platform', 'arch', 'os', 'platformName']
+
+// Platforms npm tarballs are cached for, they are the same everywhere
+const NPM_PLATFORMS = [{ os: 'All Platforms', platform: 'npm', arch: 'all' }]
+// Companions whose templates name no platform are one file per version, e.g. Electron's SHASUMS256.txt
+const VERSION_PLATFORMS = [{ os: 'All Platforms', platform: 'any', arch: 'any' }]
+
+function findConfigFile(dir = REPO_ROOT) {
+  const filename = CONFIG_FILENAMES.find(candidate => fs.existsSync(path.join(dir, candidate)))
+  if (!filename) {
+    throw new Error(`No mirror configuration found, expected ${CONFIG_FILENAMES.join(' or ')} in ${dir}`)
+  }
+  return path.join(dir, filename)
+}
+
+function readConfigFile(configPath) {
+  if (/\.c?js$/.test(configPath)) {
+    return require(configPath)
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Invalid mirror configuration ${configPath}: ${error.message}`)
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function checkKeys(value, allowed, field, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${field}: unknown key "${key}", expected one of ${allowed.join(', ')}`)
+    }
+  }
+}
+
+function compileTemplate(template, field, errors) {
+  if (typeof template !== 'string' || !template) {
+    errors.push(`${field}: expected a non-empty string`)
+    return null
+  }
+
+  for (const [, variable] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!TEMPLATE_VARIABLES.includes(variable)) {
+      errors.push(`${field}: unknown placeholder {${variable}}, expected ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`)
+    }
+  }
+  return (values) => template.replace(/\{(\w+)\}/g, (match, variable) => values[variable])
+}
+
+function validatePlatforms(platforms, errors) {
+  if (!isPlainObject(platforms) || Object.keys(platforms).length === 0) {
+    errors.push('platforms: expected an object of "<platform>-<arch>": { os, platform, arch } targets')
+    return {}
+  }
+
+  for (const [key, target] of Object.entries(platforms)) {
+    if (!isPlainObject(target) || !['os', 'platform', 'arch'].every(field => typeof target[field] === 'string')) {
+      errors.push(`platforms.${key}: expected { os, platform, arch } strings`)
+    } else if (`${target.platform}-${target.arch}` !== key) {
+      errors.push(`platforms.${key}: platform and arch must match the key, got ${target.platform}-${target.arch}`)
+    }
+  }
+  return platforms
+}
+
+function validateSources(sources, errors) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push('sources: expected a list of "owner/repo@branch" source repositories')
+    return []
+  }
+
+  return sources.flatMap((source, index) => {
+    try {
+      return [parseSourceRepo(String(source))]
+    } catch (error) {
+      errors.push(`sources[${index}]: ${error.message}`)
+      return []
+    }
+  })
+}
+
+function loadProvider(provider, baseDir, field, errors) {
+  // mirror.config.js may pass the provider function itself
+  if (typeof provider === 'function') {
+    return provider
+  }
+  if (typeof provider !== 'string' || !provider) {
+    errors.push(`${field}: expected a built-in provider name or a path to a provider module`)
+    return null
+  }
+
+  // "./providers/foo.js" is relative to the config file, bare names are built in
+  const isPath = provider.startsWith('.') || path.isAbsolute(provider)
+  const modulePath = isPath ? path.resolve(baseDir, provider) : path.join(PROVIDERS_DIR, `${provider}.js`)
+  if (!fs.existsSync(modulePath)) {
+    const builtIn = fs.readdirSync(PROVIDERS_DIR).map(filename => path.basename(filename, '.js'))
+    errors.push(isPath
+      ? `${field}: provider module ${modulePath} does not exist`
+      : `${field}: unknown provider "${provider}", built-in providers are ${builtIn.join(', ')}`)
+    return null
+  }
+
+  const createProvider = require(modulePath)
+  if (typeof createProvider !== 'function') {
+    errors.push(`${field}: ${modulePath} must export a function returning provider hooks`)
+    return null
+  }
+  return createProvider
+}
+
+function createChecksumHook(checksum, getFilename, field, errors) {
+  if (!isPlainObject(checksum)) {
+    errors.push(`${field}: expected an object`)
+    return null
+  }
+
+  const algorithm = checksum.algorithm || 'sha256'
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    errors.push(`${field}.algorithm: unknown algorithm "${algorithm}", expected one of ${HASH_ALGORITHMS.join(', ')}`)
+  }
+
+  switch (checksum.type) {
+    case 'shasums': {
+      // A SHASUMS-style file listing "<hex>  <filename>" for every asset of the version
+      checkKeys(checksum, ['type', 'url', 'filename', 'algorithm'], field, errors)
+      const url = compileTemplate(checksum.url, `${field}.url`, errors)
+      const filename = checksum.filename ? compileTemplate(checksum.filename, `${field}.filename`, errors) : null
+      return (version, platform, arch, download, values) => getShasumsHash(
+        url(values),
+        filename ? filename(values) : getFilename(version, platform, arch),
+        algorithm
+      )
+    }
+    case 'header': {
+      // A response header carrying the digest, e.g. x-amz-meta-checksum
+      checkKeys(checksum, ['type', 'header', 'algorithm', 'encoding'], field, errors)
+      if (typeof checksum.header !== 'string' || !checksum.header) {
+        errors.push(`${field}.header: expected a header name`)
+        return null
+      }
+      const encoding = checksum.encoding || 'hex'
+      if (!['hex', 'base64'].includes(encoding)) {
+        errors.push(`${field}.encoding: expected "hex" or "base64"`)
+      }
+      const header = checksum.header.toLowerCase()
+      return (version, platform, arch, download) => {
+        const value = download.headers[header]
+        if (!value) {
+          return null
+        }
+        const digest = encoding === 'base64' ? Buffer.from(value, 'base64').toString('hex') : value
+        return { algorithm, digest, source: header }
+      }
+    }
+    default:
+      errors.push(`${field}.type: expected "shasums" or "header"`)
+      return null
+  }
+}
+
+function createNpmPackageConfig(packageName, name = packageName) {
+  // Handle scoped packages (e.g., @aws-sdk/client-cloudfront)
+  const tarballName = packageName.startsWith('@') ? packageName.replace('@', '').replace('/', '-') : packageName
+
+  return {
+    name,
+    type: 'npm',
+    provider: 'npm',
+    platforms: NPM_PLATFORMS,
+    getDownloadUrl: (version) => `${REGISTRY_URL}/${packageName}/-/${tarballName}-${version}.tgz`,
+    getFilename: (version) => `${tarballName}-${version}.tgz`,
+    getExpectedHash: async (version) => {
+      const { versions = {} } = await getPackument(packageName)
+      const dist = versions[version] && versions[version].dist
+      if (!dist) {
+        return null
+      }
+      return fromSri(dist.integrity) ||
+        (dist.shasum ? { algorithm: 'sha1', digest: dist.shasum, source: 'dist.shasum' } : null)
+    }
+  }
+}
+
+function createBinaryPackageConfig(packageName, entry, platformsByKey, baseDir, errors, { field = `packages.${packageName}`, perVersion = false } = {}) {
+  const errorCount = errors.length
+
+  if (!Array.isArray(entry.platforms) || entry.platforms.length === 0) {
+    errors.push(`${field}.platforms: expected a list of platform keys`)
+    return null
+  }
+  const unknownPlatforms = entry.platforms.filter(key => !platformsByKey[key])
+  if (unknownPlatforms.length > 0) {
+    errors.push(`${field}.platforms: unknown platform(s) ${unknownPlatforms.join(', ')}, declare them under "platforms"`)
+    return null
+  }
+  const platforms = perVersion ? VERSION_PLATFORMS : entry.platforms.map(key => platformsByKey[key])
+  const platformNames = entry.platformNames || {}
+
+  const templateValues = (version, platform, arch) => ({
+    version,
+    platform,
+    arch,
+    os: perVersion ? undefined : platformsByKey[`${platform}-${arch}`].os,
+    platformName: platformNames[`${platform}-${arch}`]
+  })
+  const usesPlatformName = [entry.url, entry.filename, entry.checksum && entry.checksum.url]
+    .some(template => typeof template === 'string' && template.includes('{platformName}'))
+  if (usesPlatformName) {
+    const unnamed = entry.platforms.filter(key => !platformNames[key])
+    if (unnamed.length > 0) {
+      errors.push(`${field}.platformNames: no {platformName} for ${unnamed.join(', ')}`)
+    }
+  }
+
+  const config = {
+    name: entry.name || packageName,
+    type: 'binary',
+    provider: 'template',
+    platforms
+  }
+
+  if (entry.url !== undefined) {
+    const url = compileTemplate(entry.url, `${field}.url`, errors)
+    config.getDownloadUrl = (version, platform, arch) => url(templateValues(version, platform, arch))
+  }
+  if (entry.filename !== undefined) {
+    const filename = compileTemplate(entry.filename, `${field}.filename`, errors)
+    config.getFilename = (version, platform, arch) => filename(templateValues(version, platform, arch))
+  }
+  if (entry.checksum !== undefined) {
+    const hook = createChecksumHook(entry.checksum, (...args) => config.getFilename(...args), `${field}.checksum`, errors)
+    if (hook) {
+      config.getExpectedHash = (version, platform, arch, download) =>
+        hook(version, platform, arch, download, templateValues(version, platform, arch))
+    }
+  }
+
+  // Provider hooks take precedence over the templates they are declared next to
+  if (entry.provider !== undefined) {
+    const createProvider = loadProvider(entry.provider, baseDir, `${field}.provider`, errors)
+    if (createProvider) {
+      try {
+        const hooks = createProvider({ packageName, name: config.name, platforms, options: entry.options || {} }) || {}
+        for (const [hook, value] of Object.entries(hooks)) {
+          if (!HOOKS.includes(hook) || typeof value !== 'function') {
+            errors.push(`${field}.provider: unexpected hook "${hook}", providers return functions named ${HOOKS.join(', ')}`)
+            continue
+          }
+          config[hook] = value
+        }
+        config.provider = typeof entry.provider === 'string' ? entry.provider : entry.provider.name || 'custom'
+      } catch (error) {
+        errors.push(`${field}.provider: ${error.message}`)
+      }
+    }
+  }
+
+  // A provider that failed to load already explains why nothing lists the artifacts
+  if (errors.length === errorCount && !config.resolveArtifacts && !(config.getDownloadUrl && config.getFilename)) {
+    errors.push(`${field}: needs "url" and "filename" templates, or a provider that lists its own artifacts`)
+  }
+
+  if (entry.companions !== undefined) {
+    config.companions = createCompanionConfigs(packageName, entry, config.name, platformsByKey, baseDir, errors, field)
+  }
+  return config
+}
+
+function createCompanionConfigs(packageName, entry, name, platformsByKey, baseDir, errors, field) {
+  if (!isPlainObject(entry.companions)) {
+    errors.push(`${field}.companions: expected an object of artifact kind to { url, filename } templates`)
+    return {}
+  }
+
+  const companions = {}
+  for (const [kind, companion] of Object.entries(entry.companions)) {
+    const companionField = `${field}.companions.${kind}`
+    if (!isPlainObject(companion)) {
+      errors.push(`${companionField}: expected an object with url and filename templates or a provider`)
+      continue
+    }
+    checkKeys(companion, COMPANION_KEYS, companionField, errors)
+
+    const companionEntry = {
+      name: `${name} ${kind}`,
+      platforms: entry.platforms,
+      platformNames: entry.platformNames,
+      checksum: entry.checksum,
+      ...companion
+    }
+    // null opts out of the package's checksum, a checksum file can't list itself
+    if (companionEntry.checksum === null) {
+      delete companionEntry.checksum
+    }
+
+    const perVersion = companion.provider === undefined && [companion.url, companion.filename]
+      .every(template => typeof template === 'string' && !PLATFORM_VARIABLES.some(variable => template.includes(`{${variable}}`)))
+    const config = createBinaryPackageConfig(packageName, companionEntry, platformsByKey, baseDir, errors, { field: companionField, perVersion })
+    if (config) {
+      companions[kind] = config
+    }
+  }
+  return companions
+}
+
+function validateConfig(raw, baseDir) {
+  const errors = []
+  if (!isPlainObject(raw)) {
+    return { errors: ['expected an object with sources, storage, platforms and packages'], config: null }
+  }
+  checkKeys(raw, TOP_LEVEL_KEYS, 'config', errors)
+
+  const sources = validateSources(raw.sources, errors)
+  const storage = validateStorage(raw.storage, baseDir, errors)
+  const platformsByKey = validatePlatforms(raw.platforms, errors)
+  // Defaults for every package, pins only make sense per package
+  const retention = validateRetention(raw.retention, 'retention', errors, { allowPin: false })
+
+  // No prototype, a dependency named "constructor" must not look whitelisted
+  const packages = Object.create(null)
+  if (!isPlainObject(raw.packages) || Object.keys(raw.packages).length === 0) {
+    errors.push('packages: expected an object of package name to package settings')
+  } else {
+    for (const [packageName, entry] of Object.entries(raw.packages)) {
+      const field = `packages.${packageName}`
+      if (!isPlainObject(entry)) {
+        errors.push(`${field}: expected an object (use {} to cache the npm tarball)`)
+        continue
+      }
+      checkKeys(entry, PACKAGE_KEYS, field, errors)
+
+      const packageRetention = validateRetention(entry.retention, `${field}.retention`, errors)
+      const watch = validateWatch(entry.watch, `${field}.watch`, errors)
+      const isBinary = entry.url !== undefined || entry.provider !== undefined
+      const config = isBinary
+        ? createBinaryPackageConfig(packageName, entry, platformsByKey, baseDir, errors)
+        : createNpmPackageConfig(packageName, entry.name)
+      if (!isBinary) {
+        const extra = Object.keys(entry).filter(key => !['name', 'retention', 'watch'].includes(key))
+        if (extra.length > 0) {
+          errors.push(`${field}: ${extra.join(', ')} only apply to binary packages, add a "url" template or a "provider"`)
+        }
+      }
+
+      if (config) {
+        config.retention = resolveRetention(retention, packageRetention, `${field}.retention`, errors)
+        config.watch = watch
+        packages[packageName] = config
+      }
+    }
+  }
+
+  return { errors, config: { sources, storage, platforms: platformsByKey, retention, packages } }
+}
+
+function loadConfig(configPath = findConfigFile()) {
+  const resolvedPath = path.resolve(configPath)
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Mirror configuration ${resolvedPath} does not exist`)
+  }
+
+  const { errors, config } = validateConfig(readConfigFile(resolvedPath), path.dirname(resolvedPath))
+  if (errors.length > 0) {
+    throw new Error(`Invalid mirror configuration ${resolvedPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`)
+  }
+  return { ...config, path: resolvedPath }
+}
+
+function describeProviders(config) {
+  return Object.entries(config.packages).map(([packageName, packageConfig]) => {
+    const targets = packageConfig.type === 'npm'
+      ? 'npm tarball'
+      : packageConfig.platforms.map(target => `${target.platform}-${target.arch}`).join(', ')
+    const companions = Object.keys(packageConfig.companions || {})
+    return `${packageName} (${packageConfig.name}): ${packageConfig.provider}, ${targets}` +
+      (companions.length > 0 ? `, with ${companions.join(', ')}` : '')
+  })
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  findConfigFile,
+  loadConfig,
+  validateConfig,
+  describeProviders
+}
@@ -0,0 +1,295 @@
+'use strict'
+
+/**
+ * Binary downloads
+ *
+ * Streams upstream artifacts to disk, following redirects and reporting the
+ * final URL and response headers so callers can check upstream checksums.
+ * Transient failures (connection resets, timeouts, 5xx, truncated bodies) are
+ * retried with exponential backoff, resuming the partial file with a Range
+ * request when the server supports it. A download only succeeds once the bytes
+ * on disk match the Content-Length upstream announced.
+ * Each run works in its own directory under temp/, and each package in its
+ * own directory inside that, so concurrent downloads never share a path.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const https = require('https')
+const { pipeline } = require('stream')
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp')
+
+let runTempDir = null
+
+// Missing objects are a 404 from most hosts
+const UNPUBLISHED_STATUS_CODES = new Set([404])
+// Chrome for Testing's and Playwright's storage buckets answer 403 for them, elsewhere a 403 is a rate limit or auth error
+const FORBIDDEN_WHEN_MISSING_HOSTS = new Set(['storage.googleapis.com', 'playwright.azureedge.net'])
+
+const REDIRECT_CODES = new Set([301, 302, 303, 307, 308])
+const MAX_REDIRECTS = 5
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504])
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'])
+
+const downloadOptions = {
+  retries: 3,
+  // Per attempt, across redirects
+  timeout: 30 * 60 * 1000,
+  // No bytes for this long means the connection is stuck
+  socketTimeout: 60 * 1000,
+  backoff: 1000,
+  maxBackoff: 30 * 1000
+}
+
+function configureDownloads(options) {
+  Object.assign(downloadOptions, options)
+}
+
+function getRequestTimeouts() {
+  // Metadata requests (lib/http) stall the same ways downloads do
+  return { timeout: downloadOptions.timeout, socketTimeout: downloadOptions.socketTimeout }
+}
+
+function isUnpublished(error) {
+  if (UNPUBLISHED_STATUS_CODES.has(error.statusCode)) {
+    return true
+  }
+  return error.statusCode === 403 && Boolean(error.url) && FORBIDDEN_WHEN_MISSING_HOSTS.has(new URL(error.url).host)
+}
+
+function retryableError(message, properties = {}) {
+  return Object.assign(new Error(message), { retryable: true }, properties)
+}
+
+function isRetryable(error) {
+  return Boolean(error.retryable) ||
+    RETRYABLE_STATUS_CODES.has(error.statusCode) ||
+    RETRYABLE_ERROR_CODES.has(error.code)
+}
+
+function getBackoffDelay(attempt, error) {
+  // Retry-After (429/503) is the server telling us exactly how long to wait
+  if (error.retryAfter) {
+    return Math.min(downloadOptions.maxBackoff, error.retryAfter * 1000)
+  }
+
+  // Exponential backoff with jitter so parallel downloads don't retry in lockstep
+  const ceiling = Math.min(downloadOptions.maxBackoff, downloadOptions.backoff * 2 ** (attempt - 1))
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+function getValidator(headers) {
+  // If-Range needs a strong ETag, otherwise fall back to Last-Modified
+  if (headers.etag && !headers.etag.startsWith('W/')) {
+    return headers.etag
+  }
+  return headers['last-modified'] || null
+}
+
+function getFileSize(filepath) {
+  try {
+    return fs.statSync(filepath).size
+  } catch (error) {
+    return 0
+  }
+}
+
+function requestDownload(url, filepath, headers, state) {
+  return new Promise((resolve, reject) => {
+    const resumeFrom = state.validator ? getFileSize(filepath) : 0
+    let redirectCount = 0
+    let currentRequest = null
+    let settled = false
+
+    const finish = (error, result) => {
+      if (settled) return
+      settled = true
+      clearTimeout(overallTimer)
+      if (error) {
+        if (currentRequest) currentRequest.destroy()
+        reject(error)
+      } else {
+        resolve(result)
+      }
+    }
+
+    const overallTimer = setTimeout(() => {
+      finish(retryableError(`Timed out after ${downloadOptions.timeout / 1000}s`))
+    }, downloadOptions.timeout)
+
+    const download = (downloadUrl) => {
+      // Credentials are only meant for the original host, never for the storage it redirects to
+      const requestHeaders = new URL(downloadUrl).host === new URL(url).host ? { ...headers } : {}
+      if (resumeFrom > 0) {
+        // If-Range makes the server send the whole file again if it changed since the first attempt
+        requestHeaders.range = `bytes=${resumeFrom}-`
+        requestHeaders['if-range'] = state.validator
+      }
+
+      try {
+        currentRequest = https.get(downloadUrl, { headers: requestHeaders }, (response) => {
+          const { statusCode } = response
+
+          if (REDIRECT_CODES.has(statusCode)) {
+            response.resume()
+            const redirectUrl = response.headers.location
+            if (!redirectUrl) {
+              finish(new Error(`Redirect without location header: ${statusCode}`))
+            } else if (++redirectCount > MAX_REDIRECTS) {
+              finish(new Error(`Too many redirects (${redirectCount})`))
+            } else {
+              const nextUrl = new URL(redirectUrl, downloadUrl).toString()
+              console.log(`Redirecting from ${downloadUrl} to: ${nextUrl}`)
+              download(nextUrl)
+            }
+            return
+          }
+
+          if (statusCode === 416 && resumeFrom > 0) {
+            response.resume()
+            finish(retryableError(`Range ${resumeFrom}- not satisfiable`, { restart: true }))
+            return
+          }
+
+          if (statusCode !== 200 && statusCode !== 206) {
+            response.resume()
+            const retryAfter = Number(response.headers['retry-after'])
+            finish(Object.assign(new Error(`Failed to download: ${statusCode}`), {
+              statusCode,
+              url: downloadUrl,
+              retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined
+            }))
+            return
+          }
+
+          let offset = 0
+          let expectedSize
+          if (statusCode === 206) {
+            const range = (response.headers['content-range'] || '').match(/^bytes (\d+)-\d+\/(\d+)$/)
+            if (!range || Number(range[1]) !== resumeFrom) {
+              response.resume()
+              finish(retryableError(`Unexpected Content-Range "${response.headers['content-range']}"`, { restart: true }))
+              return
+            }
+            offset = resumeFrom
+            expectedSize = Number(range[2])
+            console.log(`Resuming ${path.basename(filepath)} from byte ${offset}`)
+          } else {
+            // A 200 to a Range request means upstream changed or can't resume, start over
+            state.headers = response.headers
+            if (response.headers['content-length'] !== undefined) {
+              expectedSize = Number(response.headers['content-length'])
+            }
+          }
+          state.validator = getValidator(response.headers)
+
+          const file = fs.createWriteStream(filepath, { flags: offset > 0 ? 'a' : 'w' })
+          let fileError = null
+          file.on('error', (error) => { fileError = error })
+
+          pipeline(response, file, (error) => {
+            // Disk errors (ENOSPC, EACCES) won't go away by retrying
+            if (fileError) {
+              finish(fileError)
+              return
+            }
+            if (error) {
+              finish(retryableError(`Connection lost: ${error.message}`))
+              return
+            }
+
+            const size = getFileSize(filepath)
+            if (expectedSize !== undefined && size !== expectedSize) {
+              finish(retryableError(`Incomplete download: got ${size} of ${expectedSize} bytes`))
+              return
+            }
+
+            // Checksum headers of the full response describe the whole file, not just the resumed range
+            finish(null, { url: downloadUrl, headers: statusCode === 206 && state.headers ? state.headers : response.headers })
+          })
+        })
+      } catch (error) {
+        // https.get throws for URLs it can't request, e.g. a redirect to plain http
+        finish(error)
+        return
+      }
+
+      currentRequest.setTimeout(downloadOptions.socketTimeout, () => {
+        finish(retryableError(`No data received for ${downloadOptions.socketTimeout / 1000}s`))
+      })
+      currentRequest.on('error', (error) => finish(error))
+    }
+
+    download(url)
+  })
+}
+
+async function downloadFile(url, filepath, headers = {}) {
+  const { retries } = downloadOptions
+  // Validator and headers of the first full response, shared across attempts to resume safely
+  const state = { validator: null, headers: null }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestDownload(url, filepath, headers, state)
+    } catch (error) {
+      if (!isRetryable(error) || attempt > retries) {
+        fs.rmSync(filepath, { force: true }) // Don't leave a partial file behind
+        throw error
+      }
+
+      if (error.restart) {
+        state.validator = null
+        fs.rmSync(filepath, { force: true })
+      }
+
+      const delay = getBackoffDelay(attempt, error)
+      console.warn(`⚠️  Attempt ${attempt}/${retries + 1} for ${url} failed: ${error.message}, retrying in ${(delay / 1000).toFixed(1)}s`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+function getRunTempDir() {
+  if (!runTempDir) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true })
+    runTempDir = fs.mkdtempSync(path.join(TEMP_DIR, 'run-'))
+  }
+  return runTempDir
+}
+
+function createTempDir(prefix) {
+  // mkdtemp adds a random suffix, so two packages with the same name prefix still get separate directories
+  const safePrefix = prefix.replace(/[^a-zA-Z0-9._-]/g, '-')
+  return fs.mkdtempSync(path.join(getRunTempDir(), `${safePrefix}-`))
+}
+
+function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true })
+}
+
+function cleanupRunTempDir() {
+  if (runTempDir) {
+    removeTempDir(runTempDir)
+    runTempDir = null
+  }
+
+  // Other runs may still be using temp/, only remove it once it's empty
+  try {
+    fs.rmdirSync(TEMP_DIR)
+  } catch (error) {
+    // Directory not empty or doesn't exist, that's fine
+  }
+}
+
+module.exports = {
+  TEMP_DIR,
+  isUnpublished,
+  configureDownloads,
+  getRequestTimeouts,
+  downloadFile,
+  createTempDir,
+  removeTempDir,
+  cleanupRunTempDir
+}
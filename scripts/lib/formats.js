@@ -0,0 +1,117 @@
+'use strict'
+
+/**
+ * Archive formats
+ *
+ * Filename templates guess an extension, but upstreams decide what they send:
+ * download.mozilla.org serves .tar.bz2 or .tar.xz on Linux, a .dmg on macOS
+ * and an .exe installer on Windows. The real format is read from the file's
+ * magic bytes, falling back to the name and content type upstream sent, and
+ * assets are renamed and labelled to match so consumers can extract by
+ * extension.
+ */
+
+const fs = require('fs')
+
+// Checked in order, the first extension of each is the one assets are given
+const FORMATS = [
+  { name: 'zip', extensions: ['.zip'], contentType: 'application/zip', magic: [[0, '504b0304'], [0, '504b0506'], [0, '504b0708']] },
+  { name: 'tar.gz', extensions: ['.tar.gz', '.tgz', '.gz'], contentType: 'application/gzip', magic: [[0, '1f8b']] },
+  { name: 'tar.bz2', extensions: ['.tar.bz2', '.tbz2', '.bz2'], contentType: 'application/x-bzip2', magic: [[0, '425a68']] },
+  { name: 'tar.xz', extensions: ['.tar.xz', '.txz', '.xz'], contentType: 'application/x-xz', magic: [[0, 'fd377a585a00']] },
+  { name: '7z', extensions: ['.7z'], contentType: 'application/x-7z-compressed', magic: [[0, '377abcaf271c']] },
+  { name: 'tar', extensions: ['.tar'], contentType: 'application/x-tar', magic: [[257, '7573746172']] },
+  { name: 'deb', extensions: ['.deb'], contentType: 'application/vnd.debian.binary-package', magic: [[0, '213c617263683e0a64656269616e']] },
+  { name: 'pkg', extensions: ['.pkg'], contentType: 'application/x-xar', magic: [[0, '78617221']] },
+  { name: 'msi', extensions: ['.msi'], contentType: 'application/x-msi', magic: [[0, 'd0cf11e0a1b11ae1']] },
+  { name: 'exe', extensions: ['.exe'], contentType: 'application/vnd.microsoft.portable-executable', magic: [[0, '4d5a']] },
+  // Disk images end with a "koly" trailer instead of starting with a signature
+  { name: 'dmg', extensions: ['.dmg'], contentType: 'application/x-apple-diskimage', trailer: '6b6f6c79' }
+]
+
+const UNKNOWN_FORMAT = { name: 'unknown', extensions: [], contentType: 'application/octet-stream' }
+
+const HEAD_SIZE = 512
+const TRAILER_SIZE = 512
+
+function readEnds(filepath) {
+  const fd = fs.openSync(filepath, 'r')
+  try {
+    const { size } = fs.fstatSync(fd)
+    const head = Buffer.alloc(Math.min(HEAD_SIZE, size))
+    fs.readSync(fd, head, 0, head.length, 0)
+    const tail = Buffer.alloc(size >= TRAILER_SIZE ? TRAILER_SIZE : 0)
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length)
+    return { head, tail }
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function matchesMagic(format, { head, tail }) {
+  if (format.trailer) {
+    return tail.length > 0 && tail.subarray(0, format.trailer.length / 2).toString('hex') === format.trailer
+  }
+  return format.magic.some(([offset, hex]) => head.subarray(offset, offset + hex.length / 2).toString('hex') === hex)
+}
+
+function getFormatExtension(name) {
+  // The longest match wins, .tar.gz over .gz
+  const lowerName = name.toLowerCase()
+  return FORMATS.flatMap(format => format.extensions)
+    .filter(extension => lowerName.endsWith(extension))
+    .sort((a, b) => b.length - a.length)[0] || null
+}
+
+function getFormatByName(name) {
+  const extension = getFormatExtension(name)
+  return extension ? FORMATS.find(format => format.extensions.includes(extension)) : null
+}
+
+function getHeaderFilename(headers) {
+  const disposition = headers['content-disposition'] || ''
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+function detectFormat(filepath, { headers = {}, url = null } = {}) {
+  const ends = readEnds(filepath)
+  const byMagic = FORMATS.find(format => matchesMagic(format, ends))
+  if (byMagic) {
+    return { ...byMagic, source: 'magic bytes' }
+  }
+
+  // Plain tarballs and formats without a signature can still be told by the name upstream gave them
+  for (const [name, source] of [[getHeaderFilename(headers), 'content-disposition'], [url && new URL(url).pathname, 'url']]) {
+    const byName = name && getFormatByName(name)
+    if (byName) {
+      return { ...byName, source }
+    }
+  }
+
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+  const byContentType = FORMATS.find(format => format.contentType === contentType)
+  return byContentType ? { ...byContentType, source: 'content-type' } : { ...UNKNOWN_FORMAT, source: null }
+}
+
+function withFormatExtension(filename, format) {
+  const current = getFormatExtension(filename)
+  if (format.extensions.length === 0 || (current && format.extensions.includes(current))) {
+    return filename
+  }
+  const base = current ? filename.slice(0, -current.length) : filename
+  return `${base}${format.extensions[0]}`
+}
+
+function getContentType(name) {
+  const format = getFormatByName(name)
+  return format ? format.contentType : null
+}
+
+module.exports = {
+  FORMATS,
+  UNKNOWN_FORMAT,
+  detectFormat,
+  withFormatExtension,
+  getContentType
+}
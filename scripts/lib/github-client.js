@@ -0,0 +1,140 @@
+'use strict'
+
+/**
+ * Shared GitHub API client
+ *
+ * One Octokit per token for the whole run: source scans, history walks and
+ * every GitHub storage backend share it, and with it what is known about the
+ * rate limit. Requests wait for the primary rate limit to reset once it is
+ * used up, back off when GitHub reports a secondary rate limit, and writes are
+ * spaced a second apart as GitHub asks integrations to. GET responses are kept
+ * with their ETag and asked for again conditionally, a 304 doesn't count
+ * against the rate limit, so the release listings every package repeats are
+ * close to free.
+ */
+
+const { Octokit } = require('@octokit/rest')
+
+// A run rather fails than sits out most of an hour waiting for a reset
+const MAX_WAIT = 15 * 60 * 1000
+const MAX_RETRIES = 3
+// GitHub asks for at least a minute when a secondary rate limit comes without retry-after
+const SECONDARY_LIMIT_WAIT = 60 * 1000
+const WRITE_INTERVAL = 1000
+// The mirror server lives for days, the oldest responses make room for new ones
+const MAX_CACHED_RESPONSES = 500
+
+const clients = new Map()
+
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
+
+function getRetryDelay(error) {
+  if (error.status !== 403 && error.status !== 429) {
+    return null
+  }
+  const headers = (error.response && error.response.headers) || {}
+  if (headers['retry-after']) {
+    return Number(headers['retry-after']) * 1000
+  }
+  if (headers['x-ratelimit-remaining'] === '0') {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000
+  }
+  // Other 403s are permission errors, retrying doesn't help them
+  return /secondary rate limit/i.test(error.message) ? SECONDARY_LIMIT_WAIT : null
+}
+
+function throttle(octokit) {
+  const responses = new Map()
+  const rateLimit = { remaining: null, reset: null }
+  let nextWriteAt = 0
+
+  const track = (headers = {}) => {
+    // Search and GraphQL have limits of their own
+    if (headers['x-ratelimit-remaining'] === undefined || (headers['x-ratelimit-resource'] || 'core') !== 'core') return
+    rateLimit.remaining = Number(headers['x-ratelimit-remaining'])
+    rateLimit.reset = Number(headers['x-ratelimit-reset']) * 1000
+  }
+
+  const waitForRateLimit = async () => {
+    if (rateLimit.remaining !== 0 || rateLimit.reset <= Date.now()) return
+    const delay = rateLimit.reset - Date.now() + 1000
+    if (delay > MAX_WAIT) {
+      throw new Error(`GitHub API rate limit is used up until ${new Date(rateLimit.reset).toISOString()}`)
+    }
+    console.warn(`⏳ GitHub API rate limit is used up, waiting ${Math.ceil(delay / 1000)}s for it to reset`)
+    await sleep(delay)
+    rateLimit.remaining = null
+  }
+
+  const waitForWriteSlot = async () => {
+    const now = Date.now()
+    const writeAt = Math.max(now, nextWriteAt)
+    nextWriteAt = writeAt + WRITE_INTERVAL
+    await sleep(writeAt - now)
+  }
+
+  const remember = (key, response) => {
+    responses.delete(key)
+    responses.set(key, response)
+    if (responses.size > MAX_CACHED_RESPONSES) {
+      responses.delete(responses.keys().next().value)
+    }
+  }
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const { method, url } = octokit.request.endpoint.parse(options)
+    const key = `${method} ${url}`
+    const cached = method === 'GET' ? responses.get(key) : null
+    if (cached) {
+      // Inner hooks are bound to this very options object, a copy wouldn't reach them
+      options.headers = { ...options.headers, 'if-none-match': cached.headers.etag }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForRateLimit()
+      if (method !== 'GET' && method !== 'HEAD') {
+        await waitForWriteSlot()
+      }
+
+      try {
+        const response = await request(options)
+        track(response.headers)
+        if (method === 'GET' && response.headers.etag) {
+          remember(key, response)
+        }
+        return response
+      } catch (error) {
+        track(error.response && error.response.headers)
+        if (error.status === 304 && cached) {
+          remember(key, cached)
+          return cached
+        }
+
+        // A streamed upload body is spent after the first attempt
+        const delay = getRetryDelay(error)
+        const streamed = options.data && typeof options.data.pipe === 'function'
+        if (delay === null || attempt >= MAX_RETRIES || streamed) throw error
+        if (delay > MAX_WAIT) {
+          throw new Error(`GitHub API rate limit reached on ${method} ${url}, retrying would mean waiting ${Math.ceil(delay / 60000)} minutes`)
+        }
+        console.warn(`⏳ GitHub API rate limit reached on ${method} ${url}, retrying in ${Math.ceil(delay / 1000)}s`)
+        await sleep(delay)
+      }
+    }
+  })
+  return octokit
+}
+
+function getOctokit(token = process.env.GITHUB_TOKEN) {
+  const key = token || ''
+  if (!clients.has(key)) {
+    clients.set(key, throttle(new Octokit({ auth: token })))
+  }
+  return clients.get(key)
+}
+
+module.exports = {
+  getOctokit
+}
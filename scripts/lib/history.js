@@ -0,0 +1,77 @@
+'use strict'
+
+/**
+ * Source repository history
+ *
+ * Lists the commits of a ref range that changed a package.json or lockfile,
+ * so a backfill can cache what each of them pinned, for release branches and
+ * bisects of older commits. Every commit costs API requests, the walk stops
+ * before the token's rate limit runs out.
+ */
+
+const path = require('path')
+const { LOCKFILE_NAMES } = require('./lockfile')
+const { formatSourceRepo } = require('./sources')
+
+// Requests left for the rest of the run, and for other jobs sharing the token
+const API_RESERVE = 200
+
+function parseRefRange(value) {
+  // base..head or base...head like git, refs can't contain ".." themselves
+  const separator = value.indexOf('..')
+  if (separator <= 0) {
+    throw new Error(`Invalid ref range "${value}", expected base..head`)
+  }
+  const head = value.slice(separator).replace(/^\.{2,3}/, '')
+  return { base: value.slice(0, separator), head: head || null }
+}
+
+function isManifestChange(filename) {
+  if (LOCKFILE_NAMES.includes(filename)) {
+    return true
+  }
+  return path.posix.basename(filename) === 'package.json' && !filename.split('/').includes('node_modules')
+}
+
+async function getRateLimitRemaining(octokit) {
+  // Reading the rate limit doesn't count against it
+  const { data } = await octokit.rest.rateLimit.get()
+  return data.resources.core.remaining
+}
+
+async function listManifestCommits(octokit, source, base, head) {
+  const { owner, repo } = source
+  const commits = []
+  // Commits reachable from head but not from base, oldest first
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.repos.compareCommitsWithBasehead({ owner, repo, basehead: `${base}...${head}`, per_page: 100, page })
+    commits.push(...data.commits)
+    if (data.commits.length < 100) break
+  }
+  console.log(`Found ${commits.length} commit(s) in ${base}...${head} of ${formatSourceRepo(source)}`)
+
+  const changed = []
+  for (const [index, commit] of commits.entries()) {
+    // Compare only lists the files of the whole range, each commit has to be asked for its own (first 300 files)
+    const response = await octokit.rest.repos.getCommit({ owner, repo, ref: commit.sha })
+    if ((response.data.files || []).some(file => isManifestChange(file.filename))) {
+      changed.push({ sha: commit.sha, message: commit.commit.message.split('\n')[0] })
+    }
+
+    if (Number(response.headers['x-ratelimit-remaining']) < API_RESERVE) {
+      console.warn(`⚠️  GitHub API rate limit almost used up, stopping after ${index + 1} of ${commits.length} commit(s)`)
+      break
+    }
+  }
+
+  console.log(`${changed.length} commit(s) changed a package.json or lockfile`)
+  // Recent pins first, they're the likeliest to be checked out again
+  return changed.reverse()
+}
+
+module.exports = {
+  API_RESERVE,
+  parseRefRange,
+  getRateLimitRemaining,
+  listManifestCommits
+}
@@ -0,0 +1,132 @@
+'use strict'
+
+/**
+ * Small HTTP helpers for metadata requests (packuments, checksum files)
+ *
+ * Binary downloads go through downloadFile in lib/download, these are for
+ * small text and JSON bodies that are read into memory, and for responses
+ * the mirror server passes straight through (openStream). Both give up on a
+ * request with the time limits downloads use, a stalled packument or
+ * checksum file would otherwise hold up the whole run.
+ */
+
+const https = require('https')
+const { getRequestTimeouts } = require('./download')
+
+const MAX_REDIRECTS = 5
+const REDIRECT_CODES = new Set([301, 302, 303, 307, 308])
+
+function fetchText(url, headers = {}) {
+  const { timeout, socketTimeout } = getRequestTimeouts()
+  return new Promise((resolve, reject) => {
+    let redirectCount = 0
+    let currentRequest = null
+
+    // Across redirects, like downloads
+    const overallTimer = setTimeout(() => {
+      currentRequest.destroy(new Error(`Request to ${url} timed out after ${timeout / 1000}s`))
+    }, timeout)
+    const settle = (error, body) => {
+      clearTimeout(overallTimer)
+      if (error) reject(error)
+      else resolve(body)
+    }
+
+    const request = (requestUrl) => {
+      const clientRequest = https.get(requestUrl, { headers }, (response) => {
+        if (REDIRECT_CODES.has(response.statusCode) && response.headers.location) {
+          response.resume()
+          if (++redirectCount > MAX_REDIRECTS) {
+            settle(new Error(`Too many redirects (${redirectCount}) fetching ${url}`))
+            return
+          }
+          request(new URL(response.headers.location, requestUrl).toString())
+          return
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume()
+          settle(new Error(`Request to ${requestUrl} failed: ${response.statusCode}`))
+          return
+        }
+
+        let body = ''
+        response.setEncoding('utf8')
+        response.on('data', (chunk) => { body += chunk })
+        response.on('end', () => settle(null, body))
+        response.on('error', settle)
+      }).on('error', settle)
+      currentRequest = clientRequest
+      clientRequest.setTimeout(socketTimeout, () => {
+        clientRequest.destroy(new Error(`No data received from ${requestUrl} for ${socketTimeout / 1000}s`))
+      })
+    }
+
+    request(url)
+  })
+}
+
+function openStream(url, headers = {}) {
+  // Resolves with the response once a 200 arrives, the caller consumes or destroys it
+  const { timeout, socketTimeout } = getRequestTimeouts()
+  return new Promise((resolve, reject) => {
+    let redirectCount = 0
+    let currentRequest = null
+
+    const overallTimer = setTimeout(() => {
+      currentRequest.destroy(new Error(`Request to ${url} timed out after ${timeout / 1000}s`))
+    }, timeout)
+    const settle = (error, response) => {
+      clearTimeout(overallTimer)
+      if (error) reject(error)
+      else resolve(response)
+    }
+
+    const request = (requestUrl) => {
+      // Credentials are only meant for the original host, never for the storage it redirects to
+      const requestHeaders = new URL(requestUrl).host === new URL(url).host ? headers : {}
+      const clientRequest = https.get(requestUrl, { headers: requestHeaders }, (response) => {
+        if (REDIRECT_CODES.has(response.statusCode) && response.headers.location) {
+          response.resume()
+          if (++redirectCount > MAX_REDIRECTS) {
+            settle(new Error(`Too many redirects (${redirectCount}) fetching ${url}`))
+            return
+          }
+          request(new URL(response.headers.location, requestUrl).toString())
+          return
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume()
+          settle(Object.assign(new Error(`Request to ${requestUrl} failed: ${response.statusCode}`), { statusCode: response.statusCode }))
+          return
+        }
+
+        // Only waiting for the response is timed, the body moves as fast as whoever reads it
+        clientRequest.setTimeout(0)
+        settle(null, response)
+      }).on('error', settle)
+      currentRequest = clientRequest
+      clientRequest.setTimeout(socketTimeout, () => {
+        clientRequest.destroy(new Error(`No response from ${requestUrl} for ${socketTimeout / 1000}s`))
+      })
+    }
+
+    request(url)
+  })
+}
+
+async function fetchJson(url, headers = {}) {
+  const body = await fetchText(url, { accept: 'application/json', ...headers })
+  try {
+    return JSON.parse(body)
+  } catch (error) {
+    throw new Error(`Invalid JSON from ${url}: ${error.message}`)
+  }
+}
+
+module.exports = {
+  fetchText,
+  fetchJson,
+  openStream
+}
@@ -0,0 +1,119 @@
+'use strict'
+
+/**
+ * Upstream integrity checks
+ *
+ * Turns the hashes each upstream publishes (npm dist.integrity, SHASUMS files,
+ * CDN checksum headers) into { algorithm, digest, source } expectations and
+ * checks downloaded files against them before anything is published.
+ */
+
+const { hashFile } = require('./checksums')
+const { fetchText } = require('./http')
+
+// SHASUMS files are shared by every platform of a version, fetch each once per run
+const shasumsCache = new Map()
+
+function base64ToHex(value) {
+  return Buffer.from(value, 'base64').toString('hex')
+}
+
+function fromSri(integrity, source = 'dist.integrity') {
+  if (!integrity) {
+    return null
+  }
+
+  // SRI strings may list several hashes, prefer the strongest one
+  const hashes = integrity.trim().split(/\s+/).map(entry => {
+    const [algorithm, digest] = entry.split('-')
+    return { algorithm, digest: base64ToHex(digest), source }
+  })
+  const preference = ['sha512', 'sha384', 'sha256', 'sha1']
+  hashes.sort((a, b) => preference.indexOf(a.algorithm) - preference.indexOf(b.algorithm))
+  return hashes[0] || null
+}
+
+function getTransportHashes(headers = {}) {
+  const hashes = []
+
+  // Google Cloud Storage (Chrome for Testing) publishes object hashes as "crc32c=...,md5=..."
+  const googHash = [].concat(headers['x-goog-hash'] || []).join(',')
+  const googMd5 = googHash.match(/md5=([A-Za-z0-9+/=]+)/)
+  if (googMd5) {
+    hashes.push({ algorithm: 'md5', digest: base64ToHex(googMd5[1]), source: 'x-goog-hash' })
+  } else if (headers['content-md5']) {
+    // Azure Blob Storage and S3 compatible stores
+    hashes.push({ algorithm: 'md5', digest: base64ToHex(headers['content-md5']), source: 'Content-MD5' })
+  }
+
+  return hashes
+}
+
+async function fetchShasums(url) {
+  if (!shasumsCache.has(url)) {
+    const request = fetchText(url).then(parseShasums)
+    shasumsCache.set(url, request)
+    request.catch(() => shasumsCache.delete(url))
+  }
+  return shasumsCache.get(url)
+}
+
+function parseShasums(content) {
+  const entries = new Map()
+  for (const line of content.split('\n')) {
+    // "<hex>  <file>" or "<hex> *<file>" (binary mode)
+    const match = line.trim().match(/^([a-fA-F0-9]+)\s+\*?(.+)$/)
+    if (match) {
+      entries.set(match[2].trim(), match[1].toLowerCase())
+    }
+  }
+  return entries
+}
+
+async function getShasumsHash(url, filename, algorithm = 'sha256') {
+  const entries = await fetchShasums(url)
+  const digest = entries.get(filename)
+  if (!digest) {
+    throw new Error(`${filename} is not listed in ${url}`)
+  }
+  return { algorithm, digest, source: url }
+}
+
+async function verifyFileIntegrity(filepath, filename, expectedHashes) {
+  for (const expected of expectedHashes) {
+    const { digest } = await hashFile(filepath, expected.algorithm)
+    if (digest !== expected.digest.toLowerCase()) {
+      throw new Error(
+        `Integrity check failed for ${filename}: expected ${expected.algorithm} ${expected.digest} ` +
+        `from ${expected.source}, got ${digest}`
+      )
+    }
+    console.log(`🔐 ${filename} matches ${expected.algorithm} from ${expected.source}`)
+  }
+}
+
+async function verifyUpstreamIntegrity(download, config, version, platform, arch) {
+  // Checksums the provider publishes come first, CDN transport hashes are checked as well when present
+  const expectedHashes = getTransportHashes(download.headers)
+  if (config.getExpectedHash) {
+    const expected = await config.getExpectedHash(version, platform, arch, download)
+    if (expected) {
+      expectedHashes.unshift(expected)
+    }
+  }
+
+  if (expectedHashes.length === 0) {
+    console.warn(`⚠️  No upstream checksum published for ${download.filename}, skipping integrity check`)
+    return
+  }
+
+  await verifyFileIntegrity(download.filepath, download.filename, expectedHashes)
+}
+
+module.exports = {
+  fromSri,
+  getTransportHashes,
+  getShasumsHash,
+  verifyFileIntegrity,
+  verifyUpstreamIntegrity
+}
@@ -0,0 +1,138 @@
+'use strict'
+
+/**
+ * Lockfile parsing
+ *
+ * Reads the versions a source repository really installs from its
+ * package-lock.json, yarn.lock (classic and berry) or pnpm-lock.yaml, so we
+ * cache the binaries CI downloads instead of the lower bound of a range.
+ */
+
+const path = require('path')
+const semver = require('semver')
+const YAML = require('yaml')
+const yarnLockfile = require('@yarnpkg/lockfile')
+
+// Checked in order, the first one found in the source repository wins
+const LOCKFILE_NAMES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml']
+
+function parseYarnLockfile(content) {
+  const entries = new Map()
+
+  // Yarn berry lockfiles are YAML with a __metadata block, classic ones are not
+  if (/^__metadata:/m.test(content)) {
+    const data = YAML.parse(content)
+    for (const [key, entry] of Object.entries(data)) {
+      if (key === '__metadata') continue
+      for (const descriptor of key.split(',')) {
+        entries.set(descriptor.trim(), entry.version)
+      }
+    }
+    return entries
+  }
+
+  const parsed = yarnLockfile.parse(content)
+  if (parsed.type !== 'success') {
+    throw new Error(`Unable to parse yarn.lock (${parsed.type})`)
+  }
+  for (const [descriptor, entry] of Object.entries(parsed.object)) {
+    entries.set(descriptor, entry.version)
+  }
+  return entries
+}
+
+function parseLockfile(filename, content) {
+  switch (filename) {
+    case 'package-lock.json':
+      return { type: 'npm', filename, data: JSON.parse(content) }
+    case 'yarn.lock':
+      return { type: 'yarn', filename, entries: parseYarnLockfile(content) }
+    case 'pnpm-lock.yaml':
+      return { type: 'pnpm', filename, data: YAML.parse(content) }
+    default:
+      throw new Error(`Unsupported lockfile: ${filename}`)
+  }
+}
+
+function resolveFromNpmLockfile(data, name, importer) {
+  // lockfileVersion 2 and 3 key installs by their node_modules path
+  if (data.packages) {
+    const candidates = [
+      path.posix.join(importer, 'node_modules', name),
+      path.posix.join('node_modules', name)
+    ]
+    for (const candidate of candidates) {
+      const entry = data.packages[candidate]
+      if (entry && entry.version) {
+        return entry.version
+      }
+    }
+    return null
+  }
+
+  // lockfileVersion 1 nests resolved dependencies by name
+  const entry = data.dependencies && data.dependencies[name]
+  return entry ? entry.version : null
+}
+
+function resolveFromYarnLockfile(entries, name, spec) {
+  return entries.get(`${name}@${spec}`) ||
+    entries.get(`${name}@npm:${spec}`) ||
+    null
+}
+
+function cleanPnpmVersion(value) {
+  // Strip peer dependency suffixes: "27.3.1(@types/node@20.0.0)" or "27.3.1_react@18.2.0"
+  const version = value.replace(/\(.*$/, '').replace(/_.*$/, '')
+  if (semver.valid(version)) {
+    return version
+  }
+
+  // Aliases and older path-style references: "electron@27.3.1", "/electron/27.3.1"
+  const match = version.match(/[@/](\d+\.\d+\.\d+[^@/]*)$/)
+  return match ? match[1] : null
+}
+
+function resolveFromPnpmLockfile(data, name, importer) {
+  // Workspace lockfiles list each package under importers, single projects keep them at the top level
+  const project = data.importers ? data.importers[importer || '.'] : data
+  if (!project) {
+    return null
+  }
+
+  for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    const entry = project[field] && project[field][name]
+    if (!entry) continue
+
+    // lockfileVersion 6+ stores { specifier, version }, 5.x stores the version directly
+    const value = typeof entry === 'object' ? entry.version : String(entry)
+    if (value.startsWith('link:') || value.startsWith('file:')) {
+      return null
+    }
+    return cleanPnpmVersion(value)
+  }
+  return null
+}
+
+function resolveFromLockfile(lockfile, name, spec, importer = '') {
+  if (!lockfile) {
+    return null
+  }
+
+  switch (lockfile.type) {
+    case 'npm':
+      return resolveFromNpmLockfile(lockfile.data, name, importer)
+    case 'yarn':
+      return resolveFromYarnLockfile(lockfile.entries, name, spec)
+    case 'pnpm':
+      return resolveFromPnpmLockfile(lockfile.data, name, importer)
+    default:
+      return null
+  }
+}
+
+module.exports = {
+  LOCKFILE_NAMES,
+  parseLockfile,
+  resolveFromLockfile
+}
@@ -0,0 +1,89 @@
+'use strict'
+
+/**
+ * Split assets
+ *
+ * GitHub rejects release assets over 2 GiB, and Electron debug symbols or some
+ * browser bundles are bigger. A file over a backend's `maxAssetSize` is
+ * uploaded as numbered parts, `<name>.part001`, `<name>.part002`... and its
+ * manifest entry lists the parts in order with their sizes and sha256. The
+ * mirror server and the client join them back into the one file, which is
+ * checked against the asset's own sha256.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const { PassThrough } = require('stream')
+const { pipeline } = require('stream/promises')
+
+// Parts stay well below the limit, a retried upload of one costs less
+const PART_SIZE = 1024 ** 3
+
+function getPartName(name, index) {
+  return `${name}.part${String(index + 1).padStart(3, '0')}`
+}
+
+function planParts(name, size, maxAssetSize) {
+  const partSize = Math.min(PART_SIZE, maxAssetSize)
+  const parts = []
+  for (let start = 0; start < size; start += partSize) {
+    parts.push({ name: getPartName(name, parts.length), start, size: Math.min(partSize, size - start) })
+  }
+  return parts
+}
+
+async function writePart(filepath, part, partPath) {
+  const hash = crypto.createHash('sha256')
+  const source = fs.createReadStream(filepath, { start: part.start, end: part.start + part.size - 1 })
+  source.on('data', chunk => hash.update(chunk))
+  await pipeline(source, fs.createWriteStream(partPath))
+  return { name: part.name, size: part.size, sha256: hash.digest('hex') }
+}
+
+function findStoredAsset(assetsByName, entry, name) {
+  // A split asset is only there when every one of its parts is
+  if (entry && entry.parts) {
+    const parts = entry.parts.map(part => assetsByName.get(part.name))
+    return parts.every(Boolean) ? { name: entry.name, size: entry.size, sha256: entry.sha256, parts } : null
+  }
+  return assetsByName.get(name) || null
+}
+
+function openJoinedAsset(storage, release, asset) {
+  // Parts are opened one after the other, the response only ever holds one connection upstream
+  const joined = new PassThrough()
+  ;(async () => {
+    for (const part of asset.parts) {
+      const { stream } = await storage.openAsset(release, part)
+      await pipeline(stream, joined, { end: false })
+    }
+    joined.end()
+  })().catch(error => joined.destroy(error))
+  return { stream: joined, size: asset.size }
+}
+
+async function downloadJoinedAsset(storage, release, asset, filepath) {
+  const output = fs.createWriteStream(filepath)
+  try {
+    for (const part of asset.parts) {
+      const partPath = `${filepath}.${part.name.slice(part.name.lastIndexOf('.') + 1)}`
+      try {
+        await storage.downloadAsset(release, part, partPath)
+        await pipeline(fs.createReadStream(partPath), output, { end: false })
+      } finally {
+        fs.rmSync(partPath, { force: true })
+      }
+    }
+  } finally {
+    await new Promise(resolve => output.end(resolve))
+  }
+}
+
+module.exports = {
+  PART_SIZE,
+  planParts,
+  writePart,
+  findStoredAsset,
+  openJoinedAsset,
+  downloadJoinedAsset
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+/**
+ * Plan files
+ *
+ * `plan` writes the creates, repairs and prunes a deploy would make to a JSON
+ * file for review, and `apply` carries out exactly those. Every action records
+ * the state of its release when the plan was made (null when it didn't exist),
+ * and apply refuses to start if any of them changed since. Nothing in the file
+ * depends on when it was written, so planning twice against the same sources
+ * and mirror gives the same bytes.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+const PLAN_VERSION = 1
+// Also the order actions are listed and applied in
+const ACTION_TYPES = ['create', 'repair', 'prune']
+const DEFAULT_PLAN_PATH = 'mirror-plan.json'
+
+function getReleaseState(release) {
+  if (!release) {
+    return null
+  }
+  // Re-uploading an asset changes its creation time even when name and size stay the same
+  const assets = release.assets
+    .filter(asset => asset.usable)
+    .map(asset => `${asset.name}:${asset.size}:${asset.createdAt}`)
+    .sort()
+  return crypto.createHash('sha256').update(assets.join('\n')).digest('hex')
+}
+
+function compareActions(a, b) {
+  return ACTION_TYPES.indexOf(a.type) - ACTION_TYPES.indexOf(b.type) ||
+    a.package.localeCompare(b.package) ||
+    a.version.localeCompare(b.version, undefined, { numeric: true }) ||
+    a.storage.localeCompare(b.storage)
+}
+
+function createPlan(actions, storages) {
+  return {
+    planVersion: PLAN_VERSION,
+    storage: storages.map(storage => storage.name),
+    actions: [...actions].sort(compareActions)
+  }
+}
+
+function writePlan(planPath, plan) {
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2) + '\n')
+}
+
+function readPlan(planPath) {
+  let plan
+  try {
+    plan = JSON.parse(fs.readFileSync(planPath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Failed to read plan ${planPath}: ${error.message}`)
+  }
+
+  if (!plan || plan.planVersion !== PLAN_VERSION || !Array.isArray(plan.actions)) {
+    throw new Error(`${planPath} is not a version ${PLAN_VERSION} plan, create a new one with the plan command`)
+  }
+  for (const action of plan.actions) {
+    if (!ACTION_TYPES.includes(action.type) || !action.package || !action.version || !action.tag || !action.storage) {
+      throw new Error(`${planPath} has an invalid action: ${JSON.stringify(action)}`)
+    }
+  }
+  return plan
+}
+
+async function findChangedReleases(plan, storages) {
+  const changed = []
+  for (const action of plan.actions) {
+    const storage = storages.find(candidate => candidate.name === action.storage)
+    if (!storage) {
+      changed.push(`${action.storage} is not a configured storage backend`)
+      continue
+    }
+
+    const state = getReleaseState(await storage.getRelease(action.tag))
+    if (state !== action.state) {
+      const now = state === null ? 'no longer exists' : action.state === null ? 'exists now' : 'has changed'
+      changed.push(`${action.tag} on ${action.storage} ${now}`)
+    }
+  }
+  return changed
+}
+
+module.exports = {
+  PLAN_VERSION,
+  ACTION_TYPES,
+  DEFAULT_PLAN_PATH,
+  getReleaseState,
+  createPlan,
+  writePlan,
+  readPlan,
+  findChangedReleases
+}
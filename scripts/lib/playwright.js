@@ -0,0 +1,123 @@
+'use strict'
+
+/**
+ * Playwright browser builds
+ *
+ * Playwright's CDN keys builds by browser revision and host platform, not by
+ * npm version. This reads browsers.json from the matching playwright-core
+ * tarball and lists every build that release downloads, under the same
+ * `builds/<browser>/<revision>/<file>` paths Playwright's registry requests,
+ * so PLAYWRIGHT_DOWNLOAD_HOST can point straight at the mirror.
+ */
+
+const { readPackageFiles } = require('./registry')
+
+const PLAYWRIGHT_CDN = 'https://playwright.azureedge.net'
+
+// Browsers we mirror, the rest of browsers.json (tip-of-tree, beta, android...) is opt-in upstream
+const PLAYWRIGHT_BROWSERS = {
+  all: ['chromium', 'chromium-headless-shell', 'firefox', 'webkit', 'ffmpeg'],
+  chromium: ['chromium', 'chromium-headless-shell', 'ffmpeg'],
+  firefox: ['firefox', 'ffmpeg'],
+  webkit: ['webkit', 'ffmpeg']
+}
+
+// Playwright host platform names for each of our platform/arch targets
+const HOST_PLATFORMS = {
+  'linux-x64': ['ubuntu20.04-x64', 'ubuntu22.04-x64', 'ubuntu24.04-x64', 'debian11-x64', 'debian12-x64'],
+  'linux-arm64': ['ubuntu20.04-arm64', 'ubuntu22.04-arm64', 'ubuntu24.04-arm64', 'debian11-arm64', 'debian12-arm64'],
+  'darwin-x64': ['mac11', 'mac12', 'mac13', 'mac14', 'mac15'],
+  'darwin-arm64': ['mac11-arm64', 'mac12-arm64', 'mac13-arm64', 'mac14-arm64', 'mac15-arm64'],
+  'win32-x64': ['win64']
+}
+
+function getDownloadPath(browser, revision, hostPlatform) {
+  const archSuffix = hostPlatform.endsWith('-arm64') ? '-arm64' : ''
+  const mac = hostPlatform.match(/^mac([\d.]+)/)
+  const linux = hostPlatform.match(/^(ubuntu|debian)([\d.]+)-/)
+  let file
+
+  switch (browser) {
+    case 'chromium':
+    case 'chromium-headless-shell':
+    case 'ffmpeg':
+      // Chromium and ffmpeg builds only differ by OS family
+      file = `${browser}-${mac ? 'mac' : linux ? 'linux' : 'win64'}${archSuffix}.zip`
+      break
+    case 'firefox':
+      file = linux
+        ? `firefox-${linux[1]}-${linux[2]}${archSuffix}.zip`
+        : `firefox-${mac ? 'mac' : 'win64'}${archSuffix}.zip`
+      break
+    case 'webkit':
+      // WebKit is built per distribution and per macOS release
+      file = linux
+        ? `webkit-${linux[1]}-${linux[2]}${archSuffix}.zip`
+        : mac ? `webkit-mac-${mac[1]}${archSuffix}.zip` : 'webkit-win64.zip'
+      break
+    default:
+      return null
+  }
+
+  // Headless shell builds share the chromium revision directory
+  const directory = browser === 'chromium-headless-shell' ? 'chromium' : browser
+  return `builds/${directory}/${revision}/${file}`
+}
+
+// playwright, playwright-core, playwright-chromium... of one version are processed side by side, read the tarball once
+const browsersJsonCache = new Map()
+
+async function readBrowsersJson(version) {
+  const files = await readPackageFiles('playwright-core', version, ['browsers.json'])
+  if (!files.has('browsers.json')) {
+    throw new Error(`playwright-core@${version} has no browsers.json`)
+  }
+  return JSON.parse(files.get('browsers.json'))
+}
+
+async function getBrowsersJson(version) {
+  if (!browsersJsonCache.has(version)) {
+    const request = readBrowsersJson(version)
+    browsersJsonCache.set(version, request)
+    request.catch(() => browsersJsonCache.delete(version))
+  }
+  return browsersJsonCache.get(version)
+}
+
+async function getPlaywrightArtifacts(version, browserNames, platforms) {
+  // playwright, playwright-chromium etc. pin the playwright-core release with the same version
+  const { browsers } = await getBrowsersJson(version)
+  const artifactsByPath = new Map()
+
+  for (const browser of browsers.filter(entry => browserNames.includes(entry.name))) {
+    for (const target of platforms) {
+      for (const hostPlatform of HOST_PLATFORMS[`${target.platform}-${target.arch}`] || []) {
+        const revision = (browser.revisionOverrides && browser.revisionOverrides[hostPlatform]) || browser.revision
+        const downloadPath = getDownloadPath(browser.name, revision, hostPlatform)
+        if (!downloadPath) continue
+
+        // Several host platforms usually share one build (every x64 distro gets chromium-linux.zip)
+        if (artifactsByPath.has(downloadPath)) {
+          artifactsByPath.get(downloadPath).hostPlatforms.push(hostPlatform)
+          continue
+        }
+
+        artifactsByPath.set(downloadPath, {
+          ...target,
+          url: `${PLAYWRIGHT_CDN}/${downloadPath}`,
+          filename: downloadPath.replace(/^builds\//, '').replace(/\//g, '-'),
+          mirrorPath: downloadPath,
+          hostPlatforms: [hostPlatform]
+        })
+      }
+    }
+  }
+
+  return Array.from(artifactsByPath.values())
+}
+
+module.exports = {
+  PLAYWRIGHT_CDN,
+  PLAYWRIGHT_BROWSERS,
+  getPlaywrightArtifacts
+}
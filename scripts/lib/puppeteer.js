@@ -0,0 +1,78 @@
+'use strict'
+
+/**
+ * Puppeteer browser builds
+ *
+ * Every Puppeteer release pins the Chrome (and chrome-headless-shell) build it
+ * downloads in puppeteer-core's `revisions` module. This reads those pins from
+ * the published tarball and lists the matching Chrome for Testing archives.
+ */
+
+const { getChromeForTestingPath, getChromeForTestingUrl, CHROME_FOR_TESTING_PLATFORMS } = require('./chrome-for-testing')
+const { getPackument, readPackageFiles } = require('./registry')
+
+const REVISIONS_PATH = 'lib/cjs/puppeteer/revisions.js'
+
+// Binaries Puppeteer installs from Chrome for Testing, keyed like PUPPETEER_REVISIONS
+const PUPPETEER_BINARIES = ['chrome', 'chrome-headless-shell']
+
+function parseRevisions(source) {
+  // Compiled TypeScript: exports.PUPPETEER_REVISIONS = Object.freeze({ chrome: '119.0.6045.105', ... })
+  const match = source.match(/PUPPETEER_REVISIONS\s*=\s*Object\.freeze\(\{([^}]*)\}/)
+  if (!match) {
+    throw new Error('Unable to find PUPPETEER_REVISIONS')
+  }
+
+  const revisions = {}
+  for (const [, key, value] of match[1].matchAll(/['"]?([\w-]+)['"]?\s*:\s*['"]([^'"]+)['"]/g)) {
+    revisions[key] = value
+  }
+  return revisions
+}
+
+async function getPuppeteerRevisions(packageName, version) {
+  // puppeteer pins the puppeteer-core release that holds the revisions module
+  let coreVersion = version
+  if (packageName !== 'puppeteer-core') {
+    const { versions = {} } = await getPackument(packageName)
+    const dependencies = (versions[version] && versions[version].dependencies) || {}
+    coreVersion = dependencies['puppeteer-core'] || version
+  }
+
+  const files = await readPackageFiles('puppeteer-core', coreVersion, [REVISIONS_PATH])
+  if (!files.has(REVISIONS_PATH)) {
+    throw new Error(`puppeteer-core@${coreVersion} has no ${REVISIONS_PATH}`)
+  }
+  return parseRevisions(files.get(REVISIONS_PATH))
+}
+
+async function getPuppeteerArtifacts(packageName, version, platforms) {
+  const revisions = await getPuppeteerRevisions(packageName, version)
+  const binaries = PUPPETEER_BINARIES.filter(binary => revisions[binary])
+
+  // Puppeteer before 21 downloaded Chromium snapshots, which Chrome for Testing doesn't serve
+  if (binaries.length === 0) {
+    throw new Error(`${packageName}@${version} pins no Chrome for Testing build (revisions: ${JSON.stringify(revisions)})`)
+  }
+
+  console.log(`${packageName}@${version} pins ${binaries.map(binary => `${binary}@${revisions[binary]}`).join(', ')}`)
+
+  const artifacts = []
+  for (const binary of binaries) {
+    const chromeVersion = revisions[binary]
+    for (const target of platforms) {
+      if (!CHROME_FOR_TESTING_PLATFORMS[`${target.platform}-${target.arch}`]) continue
+      artifacts.push({
+        ...target,
+        url: getChromeForTestingUrl(chromeVersion, target.platform, target.arch, binary),
+        filename: `${binary}-${chromeVersion}-${target.platform}-${target.arch}.zip`,
+        mirrorPath: getChromeForTestingPath(chromeVersion, target.platform, target.arch, binary)
+      })
+    }
+  }
+  return artifacts
+}
+
+module.exports = {
+  getPuppeteerArtifacts
+}
@@ -0,0 +1,129 @@
+'use strict'
+
+/**
+ * npm registry helpers
+ *
+ * Fetches package metadata from the public npm registry and resolves semver
+ * ranges and dist-tags to concrete published versions. Used when the source
+ * repository has no lockfile to read resolved versions from. Also reads
+ * individual files out of published tarballs for providers that need them,
+ * and lists releases for the upstream watcher.
+ */
+
+const path = require('path')
+const semver = require('semver')
+const tar = require('tar')
+const { downloadFile, createTempDir, removeTempDir } = require('./download')
+const { fetchJson } = require('./http')
+const { fromSri, verifyFileIntegrity } = require('./integrity')
+
+const REGISTRY_URL = 'https://registry.npmjs.org'
+
+// Packuments are large (electron has hundreds of versions), fetch each once per run
+const packumentCache = new Map()
+
+function getPackumentUrl(name) {
+  // Scoped packages keep the @ but escape the slash
+  return `${REGISTRY_URL}/${name.replace('/', '%2f')}`
+}
+
+async function getPackument(name) {
+  if (!packumentCache.has(name)) {
+    // The abbreviated "corgi" document only carries install metadata and is much smaller
+    const request = fetchJson(getPackumentUrl(name), {
+      accept: 'application/vnd.npm.install-v1+json'
+    })
+    packumentCache.set(name, request)
+    request.catch(() => packumentCache.delete(name))
+  }
+  return packumentCache.get(name)
+}
+
+async function resolveVersionFromRegistry(name, range) {
+  const packument = await getPackument(name)
+  const distTags = packument['dist-tags'] || {}
+
+  // "latest", "beta" etc. are dist-tags rather than ranges
+  if (distTags[range]) {
+    return distTags[range]
+  }
+
+  const versions = Object.keys(packument.versions || {})
+  return semver.maxSatisfying(versions, range)
+}
+
+async function listVersionsFromRegistry(name, range) {
+  // Every published version a range covers, newest first, for backfills
+  const packument = await getPackument(name)
+  const distTags = packument['dist-tags'] || {}
+  if (distTags[range]) {
+    return [distTags[range]]
+  }
+
+  return Object.keys(packument.versions || {})
+    .filter(version => semver.satisfies(version, range))
+    .sort(semver.rcompare)
+}
+
+async function listReleasesFromRegistry(name) {
+  // Every published version for the upstream watcher, with the dist-tags that point at it
+  const packument = await getPackument(name)
+  const tagsByVersion = new Map()
+  for (const [tag, version] of Object.entries(packument['dist-tags'] || {})) {
+    tagsByVersion.set(version, [...(tagsByVersion.get(version) || []), tag])
+  }
+
+  return Object.entries(packument.versions || {})
+    .filter(([version, metadata]) => semver.valid(version) && !metadata.deprecated)
+    .map(([version]) => ({ version, prerelease: semver.prerelease(version) !== null, tags: tagsByVersion.get(version) || [] }))
+}
+
+async function readFilesFromTarball(filepath, entryPaths) {
+  const wanted = new Set(entryPaths)
+  const files = new Map()
+
+  await tar.t({
+    file: filepath,
+    onentry: (entry) => {
+      if (!wanted.has(entry.path)) return
+      const chunks = []
+      entry.on('data', chunk => chunks.push(chunk))
+      entry.on('end', () => files.set(entry.path, Buffer.concat(chunks).toString('utf8')))
+    }
+  })
+
+  return files
+}
+
+async function readPackageFiles(name, version, filePaths) {
+  const { versions = {} } = await getPackument(name)
+  const manifest = versions[version]
+  if (!manifest) {
+    throw new Error(`${name}@${version} is not published on the npm registry`)
+  }
+
+  const tempDir = createTempDir(`${name}-${version}`)
+  const filepath = path.join(tempDir, 'package.tgz')
+  try {
+    await downloadFile(manifest.dist.tarball, filepath)
+    const expected = fromSri(manifest.dist.integrity)
+    if (expected) {
+      await verifyFileIntegrity(filepath, `${name}@${version}`, [expected])
+    }
+
+    // npm tarballs put everything under a package/ directory
+    const files = await readFilesFromTarball(filepath, filePaths.map(filePath => `package/${filePath}`))
+    return new Map(Array.from(files, ([entryPath, content]) => [entryPath.slice('package/'.length), content]))
+  } finally {
+    removeTempDir(tempDir)
+  }
+}
+
+module.exports = {
+  REGISTRY_URL,
+  getPackument,
+  resolveVersionFromRegistry,
+  listVersionsFromRegistry,
+  listReleasesFromRegistry,
+  readPackageFiles
+}
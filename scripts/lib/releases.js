@@ -0,0 +1,112 @@
+'use strict'
+
+/**
+ * Release naming and contents
+ *
+ * The tag and asset names of a package version follow from the mirror config
+ * alone. Caching runs, the mirror server and the client all derive them here,
+ * so a consumer looks for exactly what the cacher uploaded.
+ */
+
+const { MANIFEST_FILENAME, parseManifest } = require('./checksums')
+const { findStoredAsset } = require('./parts')
+
+// The release holding the catalog of all the others, not a package version
+const CATALOG_TAG = 'mirror-index'
+
+function sanitizeTagName(name) {
+  // GitHub tag names must be valid git refs
+  // Remove or replace invalid characters
+  return name
+    .replace(/[^a-zA-Z0-9._-]/g, '-')  // Replace invalid chars with hyphens
+    .replace(/^[.-]/, '')              // Remove leading dots/hyphens
+    .replace(/[.-]$/, '')              // Remove trailing dots/hyphens
+    .replace(/-+/g, '-')               // Replace multiple hyphens with single
+    .substring(0, 100)                 // Limit length
+}
+
+function getTagName(packageName, version) {
+  return sanitizeTagName(`${packageName}-${version}`)
+}
+
+async function listArtifacts(config, version) {
+  // Providers that have to inspect the release itself (e.g. Playwright's browsers.json) list their own artifacts
+  if (config.resolveArtifacts) {
+    return config.resolveArtifacts(version)
+  }
+
+  return config.platforms.map(target => ({
+    ...target,
+    url: config.getDownloadUrl(version, target.platform, target.arch),
+    filename: config.getFilename(version, target.platform, target.arch)
+  }))
+}
+
+async function getPackageArtifacts(packageInfo) {
+  const { version, config } = packageInfo
+  let artifacts = await listArtifacts(config, version)
+
+  // Companions (chromedriver, ffmpeg... of the same version) go into the same release, labelled with their kind
+  for (const [kind, companion] of Object.entries(config.companions || {})) {
+    const companionArtifacts = await listArtifacts(companion, version)
+    artifacts = artifacts.concat(companionArtifacts.map(artifact => ({ ...artifact, kind })))
+  }
+  return artifacts
+}
+
+function getArtifactConfig(config, artifact) {
+  // Companions have their own checksum and repackage hooks
+  return (artifact.kind && config.companions && config.companions[artifact.kind]) || config
+}
+
+function findManifestEntry(manifest, artifact) {
+  // Assets are renamed after their real format, the manifest remembers which artifact each one is
+  return manifest ? manifest.assets.find(entry => (entry.artifact || entry.name) === artifact.filename) || null : null
+}
+
+function getAssetName(manifest, artifact) {
+  const entry = findManifestEntry(manifest, artifact)
+  return entry ? entry.name : artifact.filename
+}
+
+function findReleaseAsset(assetsByName, manifest, artifact) {
+  // Split assets come back as { name, size, sha256, parts } with the release asset of every part
+  const entry = findManifestEntry(manifest, artifact)
+  return findStoredAsset(assetsByName, entry, entry ? entry.name : artifact.filename)
+}
+
+async function readReleaseManifest(storage, release) {
+  const asset = release.assets.find(candidate => candidate.name === MANIFEST_FILENAME && candidate.usable)
+  if (!asset) {
+    return null
+  }
+
+  try {
+    return parseManifest(await storage.readAsset(release, asset))
+  } catch (error) {
+    console.warn(`Failed to read ${MANIFEST_FILENAME} of ${release.tag} on ${storage.name}:`, error.message)
+    return null
+  }
+}
+
+async function readCachedReleases(storage) {
+  const releases = (await storage.listReleases()).filter(release => release.tag !== CATALOG_TAG)
+  const cached = []
+  for (const release of releases) {
+    cached.push({ release, manifest: await readReleaseManifest(storage, release) })
+  }
+  return cached
+}
+
+module.exports = {
+  CATALOG_TAG,
+  sanitizeTagName,
+  getTagName,
+  getPackageArtifacts,
+  getArtifactConfig,
+  findManifestEntry,
+  getAssetName,
+  findReleaseAsset,
+  readReleaseManifest,
+  readCachedReleases
+}
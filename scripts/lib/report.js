@@ -0,0 +1,184 @@
+'use strict'
+
+/**
+ * Run report
+ *
+ * What a caching run did, per package version and per platform: whether it
+ * was created, repaired or already up to date, how many bytes were downloaded,
+ * how long it took and why it failed. Applied plans list their prunes as
+ * packages too, watch runs the upstream releases they saw for the first time.
+ * Written as JSON with --report and rendered as markdown into the GitHub
+ * Actions job summary. The run fails once more packages failed than
+ * --max-failures allows.
+ */
+
+const fs = require('fs')
+const { formatSize } = require('./catalog')
+
+const REPORT_VERSION = 1
+
+const STATUS_ICONS = {
+  created: '✅',
+  recreated: '♻️',
+  repaired: '🔧',
+  'up-to-date': '✔️',
+  verified: '🔒',
+  pruned: '🗑️',
+  failed: '❌'
+}
+
+function parseMaxFailures(value) {
+  const maxFailures = Number(value)
+  if (!Number.isInteger(maxFailures) || maxFailures < 0) {
+    throw new Error(`Invalid --max-failures "${value}", expected a non-negative integer`)
+  }
+  return maxFailures
+}
+
+function createRunReport({ command, mode, storages, sources = [] }) {
+  return {
+    reportVersion: REPORT_VERSION,
+    command,
+    mode,
+    sources,
+    storage: storages.map(storage => storage.name),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    totals: null,
+    exitCode: null,
+    // 'published' or 'failed' once a deploy run has published the catalog, failing to fails the run
+    catalog: null,
+    // Upstream releases a watch run found uncached, including those the budget left for later
+    newVersions: [],
+    packages: []
+  }
+}
+
+function addPackageReport(report, packageInfo) {
+  const entry = {
+    name: packageInfo.name,
+    version: packageInfo.version,
+    status: null,
+    durationMs: null,
+    bytes: 0,
+    error: null,
+    // Backends the version was uploaded to, empty when it was already cached everywhere
+    storages: [],
+    // One per platform: downloaded, kept (already on every backend), skipped (not published upstream) or failed
+    artifacts: []
+  }
+  report.packages.push(entry)
+  return entry
+}
+
+function finishRunReport(report, { maxFailures = 0 } = {}) {
+  const byStatus = {}
+  for (const entry of report.packages) {
+    entry.bytes = entry.artifacts.reduce((total, artifact) => total + (artifact.bytes || 0), 0)
+    byStatus[entry.status] = (byStatus[entry.status] || 0) + 1
+  }
+
+  const failed = byStatus.failed || 0
+  report.finishedAt = new Date().toISOString()
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt)
+  report.totals = {
+    packages: report.packages.length,
+    byStatus,
+    failed,
+    maxFailures,
+    bytes: report.packages.reduce((total, entry) => total + entry.bytes, 0)
+  }
+  report.exitCode = failed > maxFailures || report.catalog === 'failed' ? 1 : 0
+  return report
+}
+
+function formatDuration(milliseconds) {
+  if (typeof milliseconds !== 'number') {
+    return ''
+  }
+  const seconds = Math.round(milliseconds / 1000)
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+}
+
+function describeArtifacts(artifacts) {
+  const counts = {}
+  for (const artifact of artifacts) {
+    counts[artifact.status] = (counts[artifact.status] || 0) + 1
+  }
+  return Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')
+}
+
+function renderReportMarkdown(report) {
+  const { totals } = report
+  const lines = [
+    `## Package Cache Automation${report.command === 'cache' ? '' : `: ${report.command}`}`,
+    '',
+    `**Mode:** ${report.mode}  `,
+    `**Sources:** ${report.sources.join(', ') || 'none'}  `,
+    `**Storage:** ${report.storage.join(', ')}  `,
+    `**Duration:** ${formatDuration(report.durationMs)}  `,
+    ...(report.catalog ? [`**Catalog:** ${report.catalog}  `] : []),
+    `**Result:** ${totals.packages - totals.failed}/${totals.packages} package(s) succeeded, ${formatSize(totals.bytes) || '0 B'} downloaded` +
+      (totals.failed > 0 ? `, ${totals.failed} failed (${totals.maxFailures} allowed)` : ''),
+    ''
+  ]
+
+  if (report.packages.length > 0) {
+    lines.push('| Package | Version | Status | Platforms | Downloaded | Duration |')
+    lines.push('| --- | --- | --- | --- | --- | --- |')
+    for (const entry of report.packages) {
+      lines.push(`| ${escapeCell(entry.name)} | ${escapeCell(entry.version)} | ${STATUS_ICONS[entry.status] || ''} ${entry.status} | ${describeArtifacts(entry.artifacts)} | ${entry.bytes > 0 ? formatSize(entry.bytes) : ''} | ${formatDuration(entry.durationMs)} |`)
+    }
+    lines.push('')
+  }
+
+  if (report.newVersions.length > 0) {
+    lines.push('### New upstream versions', '')
+    for (const entry of report.newVersions) {
+      lines.push(`- **${entry.name}@${entry.version}**${entry.prerelease ? ' (prerelease)' : ''} from ${escapeCell(entry.source)}${entry.deferred ? ', left for the next run' : ''}`)
+    }
+    lines.push('')
+  }
+
+  const failures = report.packages.filter(entry => entry.status === 'failed')
+  if (failures.length > 0 || report.catalog === 'failed') {
+    lines.push('### Failures', '')
+    if (report.catalog === 'failed') {
+      lines.push('- **Catalog**: couldn\'t be published to every backend')
+    }
+    for (const entry of failures) {
+      lines.push(`- **${entry.name}@${entry.version}**: ${escapeCell(entry.error || 'failed')}`)
+      for (const artifact of entry.artifacts.filter(candidate => candidate.status === 'failed')) {
+        lines.push(`  - ${artifact.name} (${artifact.platform}-${artifact.arch}): ${escapeCell(artifact.error)}`)
+      }
+    }
+    lines.push('')
+  }
+  return lines.join('\n')
+}
+
+function writeRunReport(report, { reportPath, summaryPath = process.env.GITHUB_STEP_SUMMARY } = {}) {
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n')
+    console.log(`📝 Wrote run report to ${reportPath}`)
+  }
+  // Set by GitHub Actions, shown on the run's summary page
+  if (summaryPath) {
+    fs.appendFileSync(summaryPath, renderReportMarkdown(report) + '\n')
+  }
+}
+
+module.exports = {
+  REPORT_VERSION,
+  parseMaxFailures,
+  createRunReport,
+  addPackageReport,
+  finishRunReport,
+  renderReportMarkdown,
+  writeRunReport
+}
@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * Retention policy
+ *
+ * Decides which cached releases a prune keeps. A version is kept while any
+ * source repository pins it, while the package's `pin` list names it, while it
+ * is among the package's `keepLatest` newest cached versions, or for
+ * `keepDays` days after the mirror downloaded it. Packages without a policy
+ * are never pruned.
+ */
+
+const semver = require('semver')
+
+const RETENTION_KEYS = ['keepLatest', 'keepDays', 'pin']
+const DAY = 24 * 60 * 60 * 1000
+
+function validateRetention(value, field, errors, { allowPin = true } = {}) {
+  if (value === undefined) {
+    return null
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${field}: expected an object with ${RETENTION_KEYS.join(', ')}`)
+    return null
+  }
+
+  const allowed = allowPin ? RETENTION_KEYS : RETENTION_KEYS.filter(key => key !== 'pin')
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${field}: unknown key "${key}", expected one of ${allowed.join(', ')}`)
+    }
+  }
+  if (value.keepLatest !== undefined && !(Number.isInteger(value.keepLatest) && value.keepLatest >= 0)) {
+    errors.push(`${field}.keepLatest: expected a non-negative integer`)
+  }
+  if (value.keepDays !== undefined && !(typeof value.keepDays === 'number' && value.keepDays >= 0)) {
+    errors.push(`${field}.keepDays: expected a non-negative number of days`)
+  }
+  if (value.pin !== undefined && !(Array.isArray(value.pin) && value.pin.every(pin => typeof pin === 'string' && pin))) {
+    errors.push(`${field}.pin: expected a list of versions or semver ranges`)
+  }
+  return value
+}
+
+function resolveRetention(defaults, overrides, field, errors) {
+  if (!defaults && !overrides) {
+    return null
+  }
+
+  const policy = {
+    keepLatest: null,
+    keepDays: null,
+    ...defaults,
+    ...overrides,
+    pin: (overrides && overrides.pin) || []
+  }
+  // Pins alone would prune every other version the day a source moves on
+  if (policy.keepLatest === null && policy.keepDays === null) {
+    errors.push(`${field}: needs keepLatest or keepDays, here or in the top-level retention`)
+  }
+  return policy
+}
+
+function compareVersions(a, b) {
+  // Chrome for Testing and Firefox versions aren't semver
+  if (semver.valid(a) && semver.valid(b)) {
+    return semver.compare(a, b)
+  }
+  return a.localeCompare(b, undefined, { numeric: true })
+}
+
+function isPinned(version, pins) {
+  return pins.some(pin => pin === version ||
+    (semver.valid(version) && semver.validRange(pin) && semver.satisfies(version, pin)))
+}
+
+function getCachedAt(release, manifest) {
+  const dates = manifest
+    ? [manifest.createdAt, ...manifest.assets.map(asset => asset.downloadedAt)]
+    : release.assets.map(asset => asset.createdAt)
+  const times = dates.map(date => Date.parse(date)).filter(time => !Number.isNaN(time))
+  return times.length > 0 ? Math.max(...times) : null
+}
+
+function planPrune(entries, packages, pinnedInSources, now = Date.now()) {
+  // The same version on several backends is kept or pruned on all of them
+  const versionsByPackage = new Map()
+  for (const entry of entries) {
+    const { package: packageName, version } = entry.manifest
+    if (!versionsByPackage.has(packageName)) {
+      versionsByPackage.set(packageName, new Map())
+    }
+    const versions = versionsByPackage.get(packageName)
+    if (!versions.has(version)) {
+      versions.set(version, { packageName, version, cachedAt: null, releases: [] })
+    }
+
+    const item = versions.get(version)
+    item.releases.push(entry)
+    const cachedAt = getCachedAt(entry.release, entry.manifest)
+    if (cachedAt !== null && (item.cachedAt === null || cachedAt > item.cachedAt)) {
+      item.cachedAt = cachedAt
+    }
+  }
+
+  const plan = []
+  for (const [packageName, versions] of versionsByPackage) {
+    const policy = packages[packageName] && packages[packageName].retention
+    if (!policy) {
+      continue
+    }
+
+    const newestFirst = Array.from(versions.values()).sort((a, b) => compareVersions(b.version, a.version))
+    newestFirst.forEach((item, index) => {
+      const reasons = []
+      if (pinnedInSources.has(`${packageName}@${item.version}`)) {
+        reasons.push('pinned in a source')
+      }
+      if (isPinned(item.version, policy.pin)) {
+        reasons.push('pinned in config')
+      }
+      if (policy.keepLatest !== null && index < policy.keepLatest) {
+        reasons.push(`latest ${policy.keepLatest}`)
+      }
+      if (policy.keepDays !== null) {
+        if (item.cachedAt === null) {
+          reasons.push('cache date unknown')
+        } else if (now - item.cachedAt < policy.keepDays * DAY) {
+          reasons.push(`cached within ${policy.keepDays} days`)
+        }
+      }
+      plan.push({ ...item, keep: reasons.length > 0, reasons })
+    })
+  }
+  return plan
+}
+
+module.exports = {
+  validateRetention,
+  resolveRetention,
+  compareVersions,
+  planPrune
+}
@@ -0,0 +1,361 @@
+'use strict'
+
+/**
+ * Mirror server
+ *
+ * Serves cached assets under the paths each tool requests from its own
+ * upstream, so setting the tool's mirror variable is all a CI job needs:
+ *
+ *   ELECTRON_MIRROR=http://<host>/electron/
+ *   CYPRESS_DOWNLOAD_MIRROR=http://<host>/cypress
+ *   PLAYWRIGHT_DOWNLOAD_HOST=http://<host>/playwright
+ *   PUPPETEER_DOWNLOAD_BASE_URL=http://<host>/chrome-for-testing
+ *
+ * A request is mapped back to the upstream URL it stands for and looked up
+ * in the manifest.json of every published release, which records the upstream
+ * URL of each asset. Any asset is also served as /releases/<tag>/<name>.
+ * Assets split into parts for a backend's size limit are served joined.
+ * On a miss the server can proxy the request to upstream, and backfill the
+ * package version into the storage backends when the path names one.
+ */
+
+const http = require('http')
+const path = require('path')
+const { pipeline } = require('stream')
+const { MANIFEST_FILENAME, parseManifest } = require('./checksums')
+const { CHROME_FOR_TESTING_URL } = require('./chrome-for-testing')
+const { createLimiter, mapSettled } = require('./concurrency')
+const { getContentType: getArchiveContentType } = require('./formats')
+const { openStream } = require('./http')
+const { findStoredAsset, openJoinedAsset } = require('./parts')
+const { PLAYWRIGHT_CDN } = require('./playwright')
+
+// A miss re-reads the releases at most this often, in case a run published new ones
+const REFRESH_INTERVAL = 60 * 1000
+
+// Upstream headers worth passing on when proxying, Cypress checks the x-amz-meta-* ones
+const PROXIED_HEADERS = ['content-type', 'content-length', 'etag', 'last-modified', 'x-amz-meta-checksum', 'x-amz-meta-size']
+
+// Archives are looked up in lib/formats
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+}
+
+const LAYOUTS = [
+  {
+    prefix: '/electron/',
+    // What the variable is set to, @electron/get needs the trailing slash
+    mirrorPath: '/electron/',
+    variable: 'ELECTRON_MIRROR',
+    isFor: (packageName) => packageName === 'electron',
+    // @electron/get requests <mirror>v<version>/<file>
+    getUpstreamUrl: (rest) => `https://github.com/electron/electron/releases/download/${rest}`,
+    getPackage: (rest) => {
+      const match = rest.match(/^v(\d+\.\d+\.\d+[\w.+-]*)\/[^/]+$/)
+      return match && { name: 'electron', version: match[1] }
+    }
+  },
+  {
+    prefix: '/cypress/',
+    mirrorPath: '/cypress',
+    variable: 'CYPRESS_DOWNLOAD_MIRROR',
+    isFor: (packageName) => packageName === 'cypress',
+    // The Cypress CLI requests <mirror>/desktop/<version>?platform=<platform>&arch=<arch>
+    getUpstreamUrl: (rest, query) => `https://download.cypress.io/${rest}?platform=${query.get('platform')}&arch=${query.get('arch')}`,
+    getPackage: (rest) => {
+      const match = rest.match(/^desktop\/(\d+\.\d+\.\d+[\w.+-]*)$/)
+      return match && { name: 'cypress', version: match[1] }
+    }
+  },
+  {
+    prefix: '/playwright/',
+    mirrorPath: '/playwright',
+    variable: 'PLAYWRIGHT_DOWNLOAD_HOST',
+    isFor: (packageName, config) => config.provider === 'playwright',
+    // Builds are keyed by browser revision, which doesn't name a package version to backfill
+    getUpstreamUrl: (rest) => `${PLAYWRIGHT_CDN}/${rest}`
+  },
+  {
+    prefix: '/chrome-for-testing/',
+    mirrorPath: '/chrome-for-testing',
+    variable: 'PUPPETEER_DOWNLOAD_BASE_URL',
+    isFor: (packageName, config) => config.provider === 'puppeteer',
+    getUpstreamUrl: (rest) => `${CHROME_FOR_TESTING_URL}/${rest}`
+  }
+]
+
+function getContentType(name) {
+  return getArchiveContentType(name) || CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream'
+}
+
+function describeLayouts(baseUrl) {
+  return [
+    ...LAYOUTS.map(layout => `${layout.variable}=${baseUrl}${layout.mirrorPath}`),
+    `Any cached asset: ${baseUrl}/releases/<tag>/<name>`
+  ]
+}
+
+function sendText(response, statusCode, text) {
+  response.writeHead(statusCode, { 'content-type': 'text/plain; charset=utf-8', 'content-length': Buffer.byteLength(text) })
+  response.end(text)
+}
+
+function createMirrorServer(storages, { proxy = false, backfill = null } = {}) {
+  // Manifests only change when a release is repaired, keep them between refreshes
+  const manifestCache = new Map()
+  const backfills = new Map()
+  let index = null
+  let indexedAt = 0
+  let indexing = null
+
+  async function readManifest(storage, release) {
+    const asset = release.assets.find(candidate => candidate.name === MANIFEST_FILENAME && candidate.usable)
+    if (!asset) {
+      return null
+    }
+
+    const key = `${storage.name}/${release.tag}`
+    const stamp = `${asset.size}:${asset.createdAt}`
+    const cached = manifestCache.get(key)
+    if (cached && cached.stamp === stamp) {
+      return cached.manifest
+    }
+
+    const manifest = parseManifest(await storage.readAsset(release, asset))
+    manifestCache.set(key, { stamp, manifest })
+    return manifest
+  }
+
+  async function buildIndex() {
+    const byUpstreamUrl = new Map()
+    const byReleasePath = new Map()
+    const limit = createLimiter()
+
+    // Earlier backends in the config win when several hold the same asset
+    for (const storage of storages) {
+      const releases = await storage.listReleases()
+      const manifests = await mapSettled(releases, limit, async (release) => {
+        try {
+          return await readManifest(storage, release)
+        } catch (error) {
+          console.warn(`⚠️  Failed to read ${MANIFEST_FILENAME} of ${release.tag} on ${storage.name}:`, error.message)
+          return null
+        }
+      })
+
+      releases.forEach((release, releaseIndex) => {
+        const manifest = manifests[releaseIndex]
+        const assetsByName = new Map(release.assets.filter(candidate => candidate.usable).map(asset => [asset.name, asset]))
+        const addHit = (hit, entry) => {
+          if (!byReleasePath.has(`${release.tag}/${hit.asset.name}`)) {
+            byReleasePath.set(`${release.tag}/${hit.asset.name}`, hit)
+          }
+          if (entry && !byUpstreamUrl.has(entry.url)) {
+            byUpstreamUrl.set(entry.url, hit)
+          }
+        }
+
+        for (const asset of assetsByName.values()) {
+          const entry = manifest && manifest.assets.find(candidate => candidate.name === asset.name)
+          addHit({ storage, release, asset, sha256: entry ? entry.sha256 : asset.sha256 }, entry)
+        }
+        // Split assets are served under their own name once every part is there
+        for (const entry of manifest ? manifest.assets.filter(candidate => candidate.parts) : []) {
+          const asset = findStoredAsset(assetsByName, entry, entry.name)
+          if (asset) {
+            addHit({ storage, release, asset, sha256: entry.sha256 }, entry)
+          }
+        }
+      })
+    }
+
+    console.log(`🔍 Indexed ${byReleasePath.size} asset(s) from ${storages.map(storage => storage.name).join(', ')}`)
+    return { byUpstreamUrl, byReleasePath }
+  }
+
+  function refreshIndex() {
+    // Requests arriving during a refresh wait for the same one
+    if (!indexing) {
+      indexing = buildIndex()
+        .then((built) => {
+          index = built
+          indexedAt = Date.now()
+        })
+        .finally(() => {
+          indexing = null
+        })
+    }
+    return indexing
+  }
+
+  async function lookup(map, key) {
+    if (!index) {
+      await refreshIndex()
+    }
+    if (!index[map].has(key) && Date.now() - indexedAt > REFRESH_INTERVAL) {
+      await refreshIndex()
+    }
+    return index[map].get(key) || null
+  }
+
+  function startBackfill(packageInfo) {
+    const key = `${packageInfo.name}@${packageInfo.version}`
+    if (backfills.has(key)) {
+      return
+    }
+
+    console.log(`📥 Backfilling ${key}`)
+    const task = Promise.resolve()
+      .then(() => backfill(packageInfo.name, packageInfo.version))
+      .then((cached) => {
+        if (cached) {
+          // Serve the new release from the next request on
+          indexedAt = 0
+        }
+      })
+      .catch((error) => {
+        console.error(`❌ Failed to backfill ${key}:`, error.message)
+      })
+      .finally(() => {
+        // A failed backfill is retried on the next miss
+        backfills.delete(key)
+      })
+    backfills.set(key, task)
+  }
+
+  async function serveAsset(request, response, { storage, release, asset, sha256 }) {
+    const headers = {
+      'content-type': getContentType(asset.name),
+      'content-length': asset.size,
+      'x-mirror-storage': storage.name
+    }
+    if (sha256) {
+      headers.etag = `"${sha256}"`
+      headers['x-checksum-sha256'] = sha256
+    }
+
+    if (sha256 && request.headers['if-none-match'] === headers.etag) {
+      response.writeHead(304, { etag: headers.etag })
+      response.end()
+      return 'not modified'
+    }
+    if (request.method === 'HEAD') {
+      response.writeHead(200, headers)
+      response.end()
+      return `cached on ${storage.name}`
+    }
+
+    const { stream } = asset.parts ? openJoinedAsset(storage, release, asset) : await storage.openAsset(release, asset)
+    response.writeHead(200, headers)
+    pipeline(stream, response, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.warn(`⚠️  Failed to send ${asset.name} from ${storage.name}:`, error.message)
+      }
+    })
+    return `cached on ${storage.name}`
+  }
+
+  async function proxyRequest(request, response, upstreamUrl) {
+    let upstream
+    try {
+      upstream = await openStream(upstreamUrl)
+    } catch (error) {
+      // Tools expect upstream's own answer for versions that don't exist
+      sendText(response, error.statusCode || 502, `${error.message}\n`)
+      return `proxy failed (${error.statusCode || error.message})`
+    }
+
+    const headers = {}
+    for (const name of PROXIED_HEADERS) {
+      if (upstream.headers[name] !== undefined) headers[name] = upstream.headers[name]
+    }
+    response.writeHead(200, headers)
+
+    if (request.method === 'HEAD') {
+      upstream.destroy()
+      response.end()
+    } else {
+      pipeline(upstream, response, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.warn(`⚠️  Failed to proxy ${upstreamUrl}:`, error.message)
+        }
+      })
+    }
+    return `proxied from ${upstreamUrl}`
+  }
+
+  async function handleRequest(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.setHeader('allow', 'GET, HEAD')
+      sendText(response, 405, 'Method not allowed\n')
+      return 'method not allowed'
+    }
+
+    const url = new URL(request.url, 'http://mirror')
+    if (url.pathname === '/') {
+      sendText(response, 200, `${describeLayouts(`http://${request.headers.host}`).join('\n')}\n`)
+      return 'index'
+    }
+
+    if (url.pathname.startsWith('/releases/')) {
+      const releasePath = decodeURIComponent(url.pathname.slice('/releases/'.length))
+      const hit = await lookup('byReleasePath', releasePath)
+      if (hit) {
+        return serveAsset(request, response, hit)
+      }
+      sendText(response, 404, `${releasePath} is not cached\n`)
+      return 'not cached'
+    }
+
+    const layout = LAYOUTS.find(candidate => url.pathname.startsWith(candidate.prefix))
+    if (!layout) {
+      sendText(response, 404, 'Not found\n')
+      return 'no such layout'
+    }
+
+    const rest = url.pathname.slice(layout.prefix.length)
+    const upstreamUrl = layout.getUpstreamUrl(rest, url.searchParams)
+    const hit = await lookup('byUpstreamUrl', upstreamUrl)
+    if (hit) {
+      return serveAsset(request, response, hit)
+    }
+
+    if (!proxy) {
+      sendText(response, 404, `${upstreamUrl} is not cached\n`)
+      return 'not cached'
+    }
+
+    const packageInfo = backfill && layout.getPackage ? layout.getPackage(rest) : null
+    if (packageInfo) {
+      startBackfill(packageInfo)
+    }
+    return proxyRequest(request, response, upstreamUrl)
+  }
+
+  const server = http.createServer((request, response) => {
+    handleRequest(request, response)
+      .then((outcome) => {
+        console.log(`${request.method} ${request.url} → ${response.statusCode} ${outcome}`)
+      })
+      .catch((error) => {
+        console.error(`❌ ${request.method} ${request.url} failed:`, error.message)
+        if (!response.headersSent) {
+          sendText(response, 502, `${error.message}\n`)
+        } else {
+          response.destroy()
+        }
+      })
+  })
+
+  // Lets the caller index the releases before the first request comes in
+  server.refreshIndex = refreshIndex
+  return server
+}
+
+module.exports = {
+  LAYOUTS,
+  describeLayouts,
+  createMirrorServer
+}
@@ -0,0 +1,182 @@
+'use strict'
+
+/**
+ * Source repositories
+ *
+ * Reads the manifests we cache packages for: the root package.json of every
+ * configured source repository, every workspace package.json its `workspaces`
+ * (or pnpm-workspace.yaml) globs expand to, and the repository's lockfile.
+ */
+
+const path = require('path')
+const { minimatch } = require('minimatch')
+const YAML = require('yaml')
+const { LOCKFILE_NAMES, parseLockfile } = require('./lockfile')
+
+function parseSourceRepo(value) {
+  // owner/repo@branch, branch defaults to the repository's default branch
+  const match = value.trim().match(/^([\w.-]+)\/([\w.-]+)(?:@(.+))?$/)
+  if (!match) {
+    throw new Error(`Invalid source repository "${value}", expected owner/repo[@branch]`)
+  }
+  const [, owner, repo, branch] = match
+  return { owner, repo, branch: branch || null }
+}
+
+function formatSourceRepo(source) {
+  return `${source.owner}/${source.repo}${source.branch ? `@${source.branch}` : ''}`
+}
+
+async function getFileFromRepo(octokit, source, filePath) {
+  try {
+    // The raw media type also works for files over the 1 MB contents API limit (large lockfiles)
+    const { data } = await octokit.rest.repos.getContent({
+      owner: source.owner,
+      repo: source.repo,
+      path: filePath,
+      ...(source.branch ? { ref: source.branch } : {}),
+      mediaType: { format: 'raw' }
+    })
+    return typeof data === 'string' ? data : Buffer.from(data).toString('utf8')
+  } catch (error) {
+    if (error.status === 404) {
+      return null
+    }
+    throw error
+  }
+}
+
+async function getPackageJsonFromRepo(octokit, source, dir = '') {
+  const filePath = path.posix.join(dir, 'package.json')
+  const content = await getFileFromRepo(octokit, source, filePath)
+  if (content === null) {
+    throw new Error(`${filePath} not found in ${formatSourceRepo(source)}`)
+  }
+
+  try {
+    return JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Invalid ${filePath} in ${formatSourceRepo(source)}: ${error.message}`)
+  }
+}
+
+async function getLockfileFromRepo(octokit, source, { strict = false } = {}) {
+  for (const filename of LOCKFILE_NAMES) {
+    try {
+      const content = await getFileFromRepo(octokit, source, filename)
+      if (content === null) {
+        continue
+      }
+      console.log(`Using ${filename} from ${formatSourceRepo(source)} to resolve versions`)
+      return parseLockfile(filename, content)
+    } catch (error) {
+      // Ranges resolved against the registry may not be what the lockfile pins
+      if (strict) {
+        throw new Error(`Failed to read ${filename} from ${formatSourceRepo(source)}: ${error.message}`)
+      }
+      console.warn(`Failed to read ${filename} from ${formatSourceRepo(source)}:`, error.message)
+    }
+  }
+
+  console.log(`No lockfile found in ${formatSourceRepo(source)}, resolving ranges against the npm registry`)
+  return null
+}
+
+async function listManifestDirs(octokit, source) {
+  const { data } = await octokit.rest.git.getTree({
+    owner: source.owner,
+    repo: source.repo,
+    tree_sha: source.branch || 'HEAD',
+    recursive: 'true'
+  })
+
+  if (data.truncated) {
+    console.warn(`⚠️  File tree of ${formatSourceRepo(source)} is truncated, some workspaces may be missed`)
+  }
+
+  return data.tree
+    .filter(entry => entry.type === 'blob' && path.posix.basename(entry.path) === 'package.json')
+    .map(entry => path.posix.dirname(entry.path))
+    .filter(dir => dir !== '.' && !dir.split('/').includes('node_modules'))
+}
+
+async function getWorkspacePatterns(octokit, source, dir, packageJson) {
+  const { workspaces } = packageJson
+  if (Array.isArray(workspaces)) {
+    return workspaces
+  }
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages
+  }
+
+  // pnpm declares workspaces in a separate file instead of package.json
+  const pnpmWorkspace = await getFileFromRepo(octokit, source, path.posix.join(dir, 'pnpm-workspace.yaml'))
+  if (pnpmWorkspace !== null) {
+    const { packages = [] } = YAML.parse(pnpmWorkspace) || {}
+    return packages
+  }
+
+  return []
+}
+
+function matchWorkspaceDirs(manifestDirs, baseDir, patterns) {
+  const include = patterns.filter(pattern => !pattern.startsWith('!'))
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))
+  const resolve = pattern => path.posix.normalize(path.posix.join(baseDir, pattern)).replace(/\/$/, '')
+
+  return manifestDirs.filter(dir =>
+    include.some(pattern => minimatch(dir, resolve(pattern))) &&
+    !exclude.some(pattern => minimatch(dir, resolve(pattern)))
+  )
+}
+
+async function getWorkspaceManifests(octokit, source, { strict = false } = {}) {
+  console.log(`Fetching package.json files from ${formatSourceRepo(source)}...`)
+  const rootPackageJson = await getPackageJsonFromRepo(octokit, source)
+  const manifests = [{ dir: '', packageJson: rootPackageJson }]
+
+  let manifestDirs = null
+  const visited = new Set([''])
+  const queue = [manifests[0]]
+
+  // Workspace packages may declare workspaces of their own, walk them breadth first
+  while (queue.length > 0) {
+    const { dir, packageJson } = queue.shift()
+    const patterns = await getWorkspacePatterns(octokit, source, dir, packageJson)
+    if (patterns.length === 0) {
+      continue
+    }
+
+    if (manifestDirs === null) {
+      manifestDirs = await listManifestDirs(octokit, source)
+    }
+
+    for (const workspaceDir of matchWorkspaceDirs(manifestDirs, dir, patterns)) {
+      if (visited.has(workspaceDir)) continue
+      visited.add(workspaceDir)
+
+      try {
+        const manifest = {
+          dir: workspaceDir,
+          packageJson: await getPackageJsonFromRepo(octokit, source, workspaceDir)
+        }
+        manifests.push(manifest)
+        queue.push(manifest)
+      } catch (error) {
+        if (strict) throw error
+        console.warn(`⚠️  Skipping workspace ${workspaceDir}:`, error.message)
+      }
+    }
+  }
+
+  console.log(`Found ${manifests.length} package.json file(s) in ${formatSourceRepo(source)}`)
+  return manifests
+}
+
+module.exports = {
+  parseSourceRepo,
+  formatSourceRepo,
+  getFileFromRepo,
+  getLockfileFromRepo,
+  getWorkspaceManifests
+}
@@ -0,0 +1,244 @@
+'use strict'
+
+/**
+ * GitHub Releases storage
+ *
+ * One release per package version, tagged `<package>-<version>`. Releases are
+ * filled as drafts, which consumers can't see, and published once complete.
+ * GitHub rejects assets over 2 GiB, bigger files are uploaded in parts (see
+ * lib/parts). Runs caching the same version at once each fill a draft of
+ * their own, the one that publishes second gets the first one's release back
+ * instead of an error.
+ */
+
+const fs = require('fs')
+const { downloadFile } = require('../download')
+const { getOctokit } = require('../github-client')
+const { fetchText, openStream } = require('../http')
+
+// Appended to draft release names until every asset is uploaded
+const DRAFT_MARKER = '[incomplete]'
+
+const MAX_ASSET_SIZE = 2 * 1024 ** 3 - 1
+
+// Replacements are uploaded under this suffix and renamed once the old asset is gone
+const REPLACEMENT_SUFFIX = '.replacement'
+
+// A long-running mirror server looks for leftover drafts again after this long
+const DRAFT_LISTING_TTL = 10 * 60 * 1000
+
+function toAsset(asset) {
+  return {
+    id: asset.id,
+    name: asset.name,
+    size: asset.size,
+    // GitHub reports a sha256 digest for assets uploaded since mid 2025
+    sha256: asset.digest && asset.digest.startsWith('sha256:') ? asset.digest.slice('sha256:'.length) : null,
+    createdAt: asset.created_at,
+    // Interrupted uploads leave assets that never reached the "uploaded" state or have no bytes
+    usable: asset.state === 'uploaded' && asset.size > 0,
+    apiUrl: asset.url,
+    downloadUrl: asset.browser_download_url
+  }
+}
+
+function toRelease(data) {
+  return {
+    id: data.id,
+    tag: data.tag_name,
+    name: data.name.replace(` ${DRAFT_MARKER}`, ''),
+    draft: data.draft,
+    createdAt: data.created_at,
+    url: data.html_url,
+    assets: (data.assets || []).map(toAsset)
+  }
+}
+
+function isTagTaken(error) {
+  // 422 with an already_exists error, another release has the tag
+  const errors = (error.response && error.response.data && error.response.data.errors) || []
+  return error.status === 422 && errors.some(detail => detail.code === 'already_exists')
+}
+
+function createGitHubStorage({ owner, repo, name = `github:${owner}/${repo}` }) {
+  const octokit = getOctokit()
+  let draftListing = null
+
+  async function getRelease(tag) {
+    try {
+      const { data } = await octokit.rest.repos.getReleaseByTag({ owner, repo, tag })
+      return toRelease(data)
+    } catch (error) {
+      if (error.status === 404) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  return {
+    name,
+    type: 'github',
+    maxAssetSize: MAX_ASSET_SIZE,
+
+    getRelease,
+
+    async listReleases() {
+      const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 })
+      return releases.filter(release => !release.draft).map(toRelease)
+    },
+
+    async findDrafts(tag) {
+      // Drafts have no tag yet, so getReleaseByTag can't see them. Every package asks, one listing of the repo answers them all
+      if (!draftListing || Date.now() - draftListing.listedAt > DRAFT_LISTING_TTL) {
+        const drafts = octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 })
+          .then(releases => releases.filter(release => release.draft).map(toRelease))
+        draftListing = { listedAt: Date.now(), drafts }
+        // A failed listing is asked for again next time
+        drafts.catch(() => { if (draftListing && draftListing.drafts === drafts) draftListing = null })
+      }
+      // Drafts created since were made by runs that are still filling them, nobody would delete those anyway
+      return (await draftListing.drafts).filter(draft => draft.tag === tag)
+    },
+
+    async createRelease(tag, { name: releaseName, body }) {
+      // Consumers can't see drafts, so nobody downloads from a release that is still being filled
+      const { data } = await octokit.rest.repos.createRelease({
+        owner,
+        repo,
+        tag_name: tag,
+        name: `${releaseName} ${DRAFT_MARKER}`,
+        body,
+        draft: true,
+        prerelease: false
+      })
+      return toRelease(data)
+    },
+
+    async publishRelease(release) {
+      try {
+        const { data } = await octokit.rest.repos.updateRelease({
+          owner,
+          repo,
+          release_id: release.id,
+          name: release.name,
+          draft: false
+        })
+        return toRelease(data)
+      } catch (error) {
+        // Another run published the same version first, its release wins and this draft goes
+        const existing = isTagTaken(error) ? await getRelease(release.tag) : null
+        if (!existing) throw error
+        await octokit.rest.repos.deleteRelease({ owner, repo, release_id: release.id })
+        return existing
+      }
+    },
+
+    async deleteRelease(release) {
+      try {
+        await octokit.rest.repos.deleteRelease({ owner, repo, release_id: release.id })
+      } catch (error) {
+        // Another run may have cleaned up the same leftover draft
+        if (error.status !== 404) throw error
+      }
+      if (release.draft && draftListing) {
+        draftListing.drafts = draftListing.drafts.then(drafts => drafts.filter(draft => draft.id !== release.id))
+      }
+
+      // Published releases leave their tag behind, drafts never created one
+      if (!release.draft) {
+        try {
+          await octokit.rest.git.deleteRef({ owner, repo, ref: `tags/${release.tag}` })
+        } catch (error) {
+          if (error.status !== 422 && error.status !== 404) throw error
+        }
+      }
+    },
+
+    async listAssets(release) {
+      const assets = await octokit.paginate(octokit.rest.repos.listReleaseAssets, {
+        owner,
+        repo,
+        release_id: release.id,
+        per_page: 100
+      })
+      return assets.map(toAsset)
+    },
+
+    async uploadAsset(release, filepath, assetName, contentType) {
+      const { size } = fs.statSync(filepath)
+      if (size > MAX_ASSET_SIZE) {
+        throw new Error(`${assetName} is ${size} bytes, GitHub release assets are limited to 2 GiB`)
+      }
+
+      // Asset names are unique per release, a copy being replaced stays until its replacement is uploaded
+      const existing = release.assets.find(asset => asset.name === assetName)
+      const uploadName = existing ? `${assetName}${REPLACEMENT_SUFFIX}` : assetName
+      const leftover = existing && release.assets.find(asset => asset.name === uploadName)
+      if (leftover) {
+        await octokit.rest.repos.deleteReleaseAsset({ owner, repo, asset_id: leftover.id })
+      }
+
+      // Stream from disk, Electron and Cypress zips are hundreds of MB each
+      const stream = fs.createReadStream(filepath)
+      let uploaded
+      try {
+        const { data } = await octokit.rest.repos.uploadReleaseAsset({
+          owner,
+          repo,
+          release_id: release.id,
+          name: uploadName,
+          data: stream,
+          headers: {
+            'content-type': contentType,
+            'content-length': size
+          }
+        })
+        uploaded = data
+      } finally {
+        // A request that fails before reading the body would otherwise keep the file open
+        stream.destroy()
+      }
+      if (!existing) {
+        return toAsset(uploaded)
+      }
+
+      await octokit.rest.repos.deleteReleaseAsset({ owner, repo, asset_id: existing.id })
+      console.log(`Deleted previous ${assetName}`)
+      const { data } = await octokit.rest.repos.updateReleaseAsset({ owner, repo, asset_id: uploaded.id, name: assetName })
+      return toAsset(data)
+    },
+
+    async downloadAsset(release, asset, filepath) {
+      // The API URL works for drafts too but needs a token, browser_download_url only for published releases
+      if (!process.env.GITHUB_TOKEN) {
+        return downloadFile(asset.downloadUrl, filepath)
+      }
+      return downloadFile(asset.apiUrl, filepath, {
+        accept: 'application/octet-stream',
+        authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+        'user-agent': `${owner}/${repo}`
+      })
+    },
+
+    async openAsset(release, asset) {
+      // Public mirrors can be read without a token, the API URL needs one
+      const stream = process.env.GITHUB_TOKEN
+        ? await openStream(asset.apiUrl, {
+          accept: 'application/octet-stream',
+          authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+          'user-agent': `${owner}/${repo}`
+        })
+        : await openStream(asset.downloadUrl)
+      return { stream, size: asset.size }
+    },
+
+    async readAsset(release, asset) {
+      return fetchText(asset.downloadUrl)
+    }
+  }
+}
+
+module.exports = {
+  createGitHubStorage
+}
@@ -0,0 +1,133 @@
+'use strict'
+
+/**
+ * Release storage backends
+ *
+ * Every backend stores one release per package version and implements the
+ * same operations, so one run can publish to several of them:
+ *
+ *   getRelease(tag)        published release or null
+ *   listReleases()         every published release
+ *   findDrafts(tag)        unpublished releases with their createdAt, left
+ *                          behind by interrupted runs or still being filled
+ *   createRelease(tag, { name, body })   a draft of this run's own to upload assets to
+ *   uploadAsset(release, filepath, name, contentType)   replaces an asset of the same name
+ *   listAssets(release)    assets as { name, size, sha256, createdAt, usable, downloadUrl }
+ *   downloadAsset(release, asset, filepath) / readAsset(release, asset)
+ *   openAsset(release, asset)   { stream, size } for serving an asset
+ *   maxAssetSize           bytes, bigger files are uploaded in parts
+ *   publishRelease(release)   the published release, another run's if it
+ *                          published the same tag first
+ *   deleteRelease(release)
+ *
+ * Backends are declared under `storage` in mirror.config.json.
+ */
+
+const path = require('path')
+const { createGitHubStorage } = require('./github')
+const { createLocalStorage } = require('./local')
+const { createS3Storage } = require('./s3')
+
+const STORAGE_TYPES = {
+  github: {
+    create: createGitHubStorage,
+    required: ['owner', 'repo'],
+    optional: [],
+    getName: ({ owner, repo }) => `github:${owner}/${repo}`
+  },
+  s3: {
+    create: createS3Storage,
+    required: ['bucket'],
+    optional: ['prefix', 'region', 'endpoint', 'forcePathStyle'],
+    getName: ({ bucket, prefix }) => `s3:${bucket}${prefix ? `/${prefix}` : ''}`
+  },
+  local: {
+    create: createLocalStorage,
+    required: ['path'],
+    optional: [],
+    getName: (entry) => `local:${entry.path}`
+  }
+}
+
+function validateStorage(entries, baseDir, errors) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    errors.push(`storage: expected a list of backends, each with a "type" of ${Object.keys(STORAGE_TYPES).join(', ')}`)
+    return []
+  }
+
+  const names = new Set()
+  return entries.flatMap((entry, index) => {
+    const field = `storage[${index}]`
+    const type = entry && STORAGE_TYPES[entry.type]
+    if (!type) {
+      errors.push(`${field}.type: expected one of ${Object.keys(STORAGE_TYPES).join(', ')}`)
+      return []
+    }
+
+    const allowed = ['type', 'name', ...type.required, ...type.optional]
+    const unknown = Object.keys(entry).filter(key => !allowed.includes(key))
+    const missing = type.required.filter(key => typeof entry[key] !== 'string' || !entry[key])
+    if (unknown.length > 0) {
+      errors.push(`${field}: unknown key(s) ${unknown.join(', ')} for ${entry.type} storage, expected ${allowed.join(', ')}`)
+    }
+    if (missing.length > 0) {
+      errors.push(`${field}: ${entry.type} storage needs ${missing.join(', ')}`)
+      return []
+    }
+
+    const name = entry.name || type.getName(entry)
+    if (names.has(name)) {
+      errors.push(`${field}.name: "${name}" is used by another backend`)
+    }
+    names.add(name)
+
+    // Local directories are relative to the config file, like provider modules
+    return [{ ...entry, name, ...(entry.type === 'local' ? { path: path.resolve(baseDir, entry.path) } : {}) }]
+  })
+}
+
+function createStorage(descriptor) {
+  const { type, ...options } = descriptor
+  return STORAGE_TYPES[type].create(options)
+}
+
+function withDryRun(storage) {
+  // Reads go to the real backend, writes are only logged
+  return {
+    ...storage,
+    dryRun: true,
+
+    async createRelease(tag, { name, body }) {
+      console.log(`[DRY RUN] Would create draft release ${tag} on ${storage.name}`)
+      console.log(`[DRY RUN] Title: ${name}`)
+      console.log(`[DRY RUN] Body: ${body}`)
+      return { tag, name, body, draft: true, dryRun: true, url: null, assets: [] }
+    },
+
+    async publishRelease(release) {
+      console.log(`[DRY RUN] Would publish release ${release.name} on ${storage.name}`)
+      return release
+    },
+
+    async deleteRelease(release) {
+      console.log(`[DRY RUN] Would delete release ${release.name} on ${storage.name}`)
+    },
+
+    async uploadAsset(release, filepath, name) {
+      const existing = release.assets.find(asset => asset.name === name)
+      console.log(`[DRY RUN] Would ${existing ? 'replace' : 'upload'} asset ${name} on ${storage.name}`)
+      return null
+    },
+
+    async listAssets(release) {
+      return release.dryRun ? [] : storage.listAssets(release)
+    }
+  }
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  validateStorage,
+  createStorage,
+  withDryRun
+}
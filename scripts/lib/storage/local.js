@@ -0,0 +1,155 @@
+'use strict'
+
+/**
+ * Local directory storage
+ *
+ * Each release is a `<path>/<tag>/` directory. Drafts are filled under
+ * `<path>/.drafts/<tag>/<id>/`, one per run, and renamed into place when
+ * published, so a release directory is always complete. Useful for runners
+ * that share a network drive, and for trying the script without publishing
+ * anything.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const RELEASE_FILENAME = 'release.json'
+const DRAFTS_DIR = '.drafts'
+const PARTIAL_SUFFIX = '.partial'
+
+function createLocalStorage({ path: root, name = `local:${root}` }) {
+  const getReleaseDir = (tag) => path.join(root, tag)
+  const getDraftsDir = (tag) => path.join(root, DRAFTS_DIR, tag)
+
+  function readRelease(tag, dir, draft) {
+    if (!fs.existsSync(dir)) {
+      return null
+    }
+
+    const releasePath = path.join(dir, RELEASE_FILENAME)
+    const details = fs.existsSync(releasePath) ? JSON.parse(fs.readFileSync(releasePath, 'utf8')) : {}
+    const createdAt = details.createdAt || fs.statSync(dir).mtime.toISOString()
+    return { tag, name: details.name || tag, body: details.body, draft, createdAt, dir, url: dir, assets: listDir(dir) }
+  }
+
+  function removeDraftsDirIfEmpty(tag) {
+    // Other runs may still be filling drafts of the tag, only remove it once it's empty
+    try {
+      fs.rmdirSync(getDraftsDir(tag))
+    } catch (error) {
+      // Directory not empty or doesn't exist, that's fine
+    }
+  }
+
+  function listDir(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      // Uploads land under a .partial name and are renamed once complete
+      .filter(entry => entry.isFile() && entry.name !== RELEASE_FILENAME && !entry.name.endsWith(PARTIAL_SUFFIX))
+      .map(entry => {
+        const stats = fs.statSync(path.join(dir, entry.name))
+        return { name: entry.name, downloadUrl: path.join(dir, entry.name), size: stats.size, sha256: null, createdAt: stats.mtime.toISOString(), usable: stats.size > 0 }
+      })
+  }
+
+  return {
+    name,
+    type: 'local',
+    maxAssetSize: Infinity,
+
+    async getRelease(tag) {
+      return readRelease(tag, getReleaseDir(tag), false)
+    },
+
+    async listReleases() {
+      if (!fs.existsSync(root)) {
+        return []
+      }
+      // Drafts and stray files aside, every directory with a release.json is a published release
+      return fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== DRAFTS_DIR && fs.existsSync(path.join(root, entry.name, RELEASE_FILENAME)))
+        .map(entry => readRelease(entry.name, getReleaseDir(entry.name), false))
+    },
+
+    async findDrafts(tag) {
+      const draftsDir = getDraftsDir(tag)
+      if (!fs.existsSync(draftsDir)) {
+        return []
+      }
+      return fs.readdirSync(draftsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => readRelease(tag, path.join(draftsDir, entry.name), true))
+    },
+
+    async createRelease(tag, { name: releaseName, body }) {
+      // Runs filling the same version side by side each get their own draft
+      const dir = path.join(getDraftsDir(tag), crypto.randomUUID())
+      const createdAt = new Date().toISOString()
+      fs.mkdirSync(dir, { recursive: true })
+      fs.writeFileSync(path.join(dir, RELEASE_FILENAME), JSON.stringify({ tag, name: releaseName, body, createdAt }, null, 2) + '\n')
+      return { tag, name: releaseName, body, draft: true, createdAt, dir, url: dir, assets: [] }
+    },
+
+    async publishRelease(release) {
+      const dir = getReleaseDir(release.tag)
+      const dropDraft = () => {
+        // Another run published the same version first, its release wins and this draft goes
+        fs.rmSync(release.dir, { recursive: true, force: true })
+        removeDraftsDirIfEmpty(release.tag)
+        return readRelease(release.tag, dir, false)
+      }
+      if (fs.existsSync(dir)) {
+        return dropDraft()
+      }
+
+      const details = { tag: release.tag, name: release.name, body: release.body, publishedAt: new Date().toISOString() }
+      fs.writeFileSync(path.join(release.dir, RELEASE_FILENAME), JSON.stringify(details, null, 2) + '\n')
+      // A rename within one file system is atomic, consumers see all of the release or none of it
+      try {
+        fs.renameSync(release.dir, dir)
+      } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error
+        return dropDraft()
+      }
+      removeDraftsDirIfEmpty(release.tag)
+      return { ...release, draft: false, dir, url: dir }
+    },
+
+    async deleteRelease(release) {
+      fs.rmSync(release.dir, { recursive: true, force: true })
+      if (release.draft) {
+        removeDraftsDirIfEmpty(release.tag)
+      }
+    },
+
+    async listAssets(release) {
+      return listDir(release.dir)
+    },
+
+    async uploadAsset(release, filepath, assetName) {
+      const target = path.join(release.dir, assetName)
+      await fs.promises.copyFile(filepath, `${target}${PARTIAL_SUFFIX}`)
+      fs.renameSync(`${target}${PARTIAL_SUFFIX}`, target)
+      const { size } = fs.statSync(target)
+      return { name: assetName, downloadUrl: target, size, sha256: null, createdAt: new Date().toISOString(), usable: size > 0 }
+    },
+
+    async downloadAsset(release, asset, filepath) {
+      await fs.promises.copyFile(path.join(release.dir, asset.name), filepath)
+      return { url: path.join(release.dir, asset.name), headers: {} }
+    },
+
+    async openAsset(release, asset) {
+      const filepath = path.join(release.dir, asset.name)
+      return { stream: fs.createReadStream(filepath), size: fs.statSync(filepath).size }
+    },
+
+    async readAsset(release, asset) {
+      return fs.readFileSync(path.join(release.dir, asset.name), 'utf8')
+    }
+  }
+}
+
+module.exports = {
+  createLocalStorage
+}
@@ -0,0 +1,233 @@
+'use strict'
+
+/**
+ * S3-compatible storage
+ *
+ * Works with AWS S3 and self-hosted stores such as MinIO. Each release is a
+ * `<prefix>/<tag>/` key prefix holding its assets. Drafts are filled under
+ * `<prefix>/.drafts/<tag>/<id>/`, one per run, and copied into place when
+ * published, so a release can be rebuilt next to the one consumers still
+ * download from. A release only counts as published once its `release.json`
+ * marker exists, which is written last. Credentials come from the usual AWS
+ * environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY).
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const { pipeline } = require('stream/promises')
+
+const RELEASE_FILENAME = 'release.json'
+// A single PutObject takes at most 5 GiB, bigger files are uploaded in parts (see lib/parts)
+const MAX_ASSET_SIZE = 5 * 1024 ** 3
+const DRAFTS_DIR = '.drafts'
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404)
+}
+
+function createS3Storage({ bucket, prefix = '', region = 'us-east-1', endpoint, forcePathStyle = Boolean(endpoint), name }) {
+  // Only runs that publish to S3 pay for loading the SDK
+  const {
+    S3Client,
+    CopyObjectCommand,
+    DeleteObjectsCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    PutObjectCommand
+  } = require('@aws-sdk/client-s3')
+  const client = new S3Client({ region, endpoint, forcePathStyle })
+
+  const basePrefix = prefix.replace(/^\/+|\/+$/g, '')
+  const getReleasePrefix = (tag) => `${basePrefix ? `${basePrefix}/` : ''}${tag}/`
+  const getDraftsPrefix = (tag) => `${basePrefix ? `${basePrefix}/` : ''}${DRAFTS_DIR}/${tag}/`
+  const getUrl = (keyPrefix) => `s3://${bucket}/${keyPrefix}`
+
+  async function listObjects(keyPrefix) {
+    const objects = []
+    let ContinuationToken
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken }))
+      objects.push(...(page.Contents || []))
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (ContinuationToken)
+    return objects
+  }
+
+  async function getObjectText(key) {
+    try {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+      return await Body.transformToString('utf8')
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async function deleteObjects(keys) {
+    for (let index = 0; index < keys.length; index += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(index, index + 1000).map(Key => ({ Key })) }
+      }))
+    }
+  }
+
+  function toAssets(keyPrefix, objects) {
+    return objects
+      .filter(object => object.Key !== `${keyPrefix}${RELEASE_FILENAME}`)
+      .map(object => ({
+        key: object.Key,
+        name: object.Key.slice(keyPrefix.length),
+        downloadUrl: getUrl(object.Key),
+        size: object.Size,
+        sha256: null,
+        createdAt: object.LastModified ? new Date(object.LastModified).toISOString() : null,
+        usable: object.Size > 0
+      }))
+  }
+
+  function toDraft(tag, draftPrefix, objects) {
+    const createdAt = objects.map(object => new Date(object.LastModified).toISOString()).sort()[0]
+    return { tag, name: tag, draft: true, createdAt, prefix: draftPrefix, url: getUrl(draftPrefix), assets: toAssets(draftPrefix, objects) }
+  }
+
+  async function getRelease(tag) {
+    const marker = await getObjectText(`${getReleasePrefix(tag)}${RELEASE_FILENAME}`)
+    if (marker === null) {
+      return null
+    }
+    const details = JSON.parse(marker)
+    const keyPrefix = getReleasePrefix(tag)
+    return { tag, name: details.name, body: details.body, draft: false, prefix: keyPrefix, url: getUrl(keyPrefix), assets: toAssets(keyPrefix, await listObjects(keyPrefix)) }
+  }
+
+  return {
+    name: name || `s3:${bucket}${basePrefix ? `/${basePrefix}` : ''}`,
+    type: 's3',
+    maxAssetSize: MAX_ASSET_SIZE,
+
+    getRelease,
+
+    async listReleases() {
+      // One listing for the whole bucket prefix instead of one per release
+      const rootPrefix = basePrefix ? `${basePrefix}/` : ''
+      const objectsByTag = new Map()
+      for (const object of await listObjects(rootPrefix)) {
+        const tag = object.Key.slice(rootPrefix.length).split('/')[0]
+        if (tag === DRAFTS_DIR) continue
+        if (!objectsByTag.has(tag)) objectsByTag.set(tag, [])
+        objectsByTag.get(tag).push(object)
+      }
+
+      const releases = []
+      for (const [tag, objects] of objectsByTag) {
+        const keyPrefix = getReleasePrefix(tag)
+        if (!objects.some(object => object.Key === `${keyPrefix}${RELEASE_FILENAME}`)) continue
+        const details = JSON.parse(await getObjectText(`${keyPrefix}${RELEASE_FILENAME}`))
+        releases.push({ tag, name: details.name, body: details.body, draft: false, prefix: keyPrefix, url: getUrl(keyPrefix), assets: toAssets(keyPrefix, objects) })
+      }
+      return releases
+    },
+
+    async findDrafts(tag) {
+      // One prefix per run's draft, as old as its first upload
+      const draftsPrefix = getDraftsPrefix(tag)
+      const objectsByDraft = new Map()
+      for (const object of await listObjects(draftsPrefix)) {
+        const draftPrefix = `${draftsPrefix}${object.Key.slice(draftsPrefix.length).split('/')[0]}/`
+        if (!objectsByDraft.has(draftPrefix)) objectsByDraft.set(draftPrefix, [])
+        objectsByDraft.get(draftPrefix).push(object)
+      }
+      return Array.from(objectsByDraft, ([draftPrefix, objects]) => toDraft(tag, draftPrefix, objects))
+    },
+
+    async createRelease(tag, { name: releaseName, body }) {
+      // Nothing to create until the first asset arrives, runs filling the same version side by side each get their own prefix
+      const draftPrefix = `${getDraftsPrefix(tag)}${crypto.randomUUID()}/`
+      return { tag, name: releaseName, body, draft: true, createdAt: new Date().toISOString(), prefix: draftPrefix, url: getUrl(draftPrefix), assets: [] }
+    },
+
+    async publishRelease(release) {
+      // Copies stay on the server, and no object is over the 5 GiB a single copy allows
+      const releasePrefix = getReleasePrefix(release.tag)
+      const objects = await listObjects(release.prefix)
+
+      // Another run published the same version first, its release wins and this draft goes
+      const existing = await getRelease(release.tag)
+      if (existing) {
+        await deleteObjects(objects.map(object => object.Key))
+        return existing
+      }
+      for (const object of objects) {
+        const source = object.Key.split('/').map(encodeURIComponent).join('/')
+        await client.send(new CopyObjectCommand({
+          Bucket: bucket,
+          Key: `${releasePrefix}${object.Key.slice(release.prefix.length)}`,
+          CopySource: `${bucket}/${source}`
+        }))
+      }
+
+      const marker = { tag: release.tag, name: release.name, body: release.body, publishedAt: new Date().toISOString() }
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: `${releasePrefix}${RELEASE_FILENAME}`,
+        Body: JSON.stringify(marker, null, 2) + '\n',
+        ContentType: 'application/json'
+      }))
+      await deleteObjects(objects.map(object => object.Key))
+      return { ...release, draft: false, prefix: releasePrefix, url: getUrl(releasePrefix), assets: toAssets(release.prefix, objects).map(asset => ({ ...asset, key: `${releasePrefix}${asset.name}`, downloadUrl: getUrl(`${releasePrefix}${asset.name}`) })) }
+    },
+
+    async deleteRelease(release) {
+      const keys = (await listObjects(release.prefix)).map(object => object.Key)
+      // Drop the marker first so nobody sees a published release with assets missing
+      keys.sort((a, b) => Number(b.endsWith(`/${RELEASE_FILENAME}`)) - Number(a.endsWith(`/${RELEASE_FILENAME}`)))
+      await deleteObjects(keys)
+    },
+
+    async listAssets(release) {
+      return toAssets(release.prefix, await listObjects(release.prefix))
+    },
+
+    async uploadAsset(release, filepath, assetName, contentType) {
+      const { size } = fs.statSync(filepath)
+      const key = `${release.prefix}${assetName}`
+      const stream = fs.createReadStream(filepath)
+      try {
+        // Objects are replaced in place, no need to delete a previous copy first
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: stream,
+          ContentLength: size,
+          ContentType: contentType
+        }))
+      } finally {
+        stream.destroy()
+      }
+      return { key, name: assetName, downloadUrl: getUrl(key), size, sha256: null, createdAt: new Date().toISOString(), usable: size > 0 }
+    },
+
+    async downloadAsset(release, asset, filepath) {
+      const { Body, ...headers } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: asset.key }))
+      await pipeline(Body, fs.createWriteStream(filepath))
+      return { url: `s3://${bucket}/${asset.key}`, headers }
+    },
+
+    async openAsset(release, asset) {
+      const { Body, ContentLength } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: asset.key }))
+      return { stream: Body, size: ContentLength }
+    },
+
+    async readAsset(release, asset) {
+      return getObjectText(asset.key)
+    }
+  }
+}
+
+module.exports = {
+  createS3Storage
+}
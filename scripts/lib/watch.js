@@ -0,0 +1,101 @@
+'use strict'
+
+/**
+ * Upstream watcher
+ *
+ * Finds the versions a package's upstream released before any source
+ * repository pins them, so the mirror has them by the time a Dependabot bump
+ * lands. Versions come from the provider's own release feed (Chrome for
+ * Testing, Firefox) or the npm registry. Of the `majors` newest major versions
+ * up to the one npm's `latest` dist-tag is on, the newest stable release of
+ * each is watched, plus the newest prerelease ahead of them with `prereleases`.
+ */
+
+const { compareVersions } = require('./retention')
+const { listReleasesFromRegistry } = require('./registry')
+
+const WATCH_KEYS = ['majors', 'prereleases', 'npm']
+
+function validateWatch(value, field, errors) {
+  if (value === undefined) {
+    return null
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${field}: expected an object with ${WATCH_KEYS.join(', ')}`)
+    return null
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!WATCH_KEYS.includes(key)) {
+      errors.push(`${field}: unknown key "${key}", expected one of ${WATCH_KEYS.join(', ')}`)
+    }
+  }
+  if (value.majors !== undefined && !(Number.isInteger(value.majors) && value.majors >= 1)) {
+    errors.push(`${field}.majors: expected a positive integer`)
+  }
+  if (value.prereleases !== undefined && typeof value.prereleases !== 'boolean') {
+    errors.push(`${field}.prereleases: expected true or false`)
+  }
+  if (value.npm !== undefined && (typeof value.npm !== 'string' || !value.npm)) {
+    errors.push(`${field}.npm: expected an npm package name`)
+  }
+  return { majors: 1, prereleases: false, npm: null, ...value }
+}
+
+function getMajor(version) {
+  // 28.2.1, 131.0.6778.85 and 134.0b5 alike
+  return parseInt(version, 10)
+}
+
+function selectWatchedVersions(releases, { majors, prereleases }) {
+  const stable = releases.filter(release => !release.prerelease && !Number.isNaN(getMajor(release.version)))
+  if (stable.length === 0) {
+    return []
+  }
+
+  // The npm "latest" dist-tag decides where the window starts, feeds without one go by the newest stable release
+  const latest = stable.find(release => (release.tags || []).includes('latest'))
+  const latestMajor = latest ? getMajor(latest.version) : Math.max(...stable.map(release => getMajor(release.version)))
+  const newestByMajor = new Map()
+  for (const release of stable) {
+    const major = getMajor(release.version)
+    if (major <= latestMajor - majors || major > latestMajor) continue
+    const newest = newestByMajor.get(major)
+    if (!newest || compareVersions(release.version, newest.version) > 0) {
+      newestByMajor.set(major, release)
+    }
+  }
+
+  const selected = Array.from(newestByMajor.values())
+  if (prereleases) {
+    // Only a prerelease ahead of every stable release is worth caching, older ones were superseded
+    const newestStable = selected.reduce((newest, release) => compareVersions(release.version, newest.version) > 0 ? release : newest)
+    const ahead = releases
+      .filter(release => release.prerelease && compareVersions(release.version, newestStable.version) > 0)
+      .sort((a, b) => compareVersions(b.version, a.version))
+    if (ahead.length > 0) {
+      selected.push(ahead[0])
+    }
+  }
+  return selected.sort((a, b) => compareVersions(b.version, a.version))
+}
+
+async function listUpstreamReleases(packageName, config) {
+  // A provider's release feed knows versions the npm registry doesn't have (Chrome, Firefox)
+  if (config.listVersions) {
+    return { source: `${config.provider} release feed`, releases: await config.listVersions() }
+  }
+  const npmName = config.watch.npm || packageName
+  return { source: `npm ${npmName}`, releases: await listReleasesFromRegistry(npmName) }
+}
+
+async function findUpstreamVersions(packageName, config) {
+  const { source, releases } = await listUpstreamReleases(packageName, config)
+  return selectWatchedVersions(releases, config.watch).map(release => ({ ...release, source }))
+}
+
+module.exports = {
+  validateWatch,
+  selectWatchedVersions,
+  findUpstreamVersions
+}
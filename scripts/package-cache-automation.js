@@ -4,572 +4,1346 @@
 /**
  * Package Cache Automation Script
  * 
- * This script automates the process of caching specific packages in GitHub releases.
- * It fetches the package.json from the Opentrons/opentrons repository and caches
+ * This script automates the process of caching specific packages in release storage (GitHub releases, S3, local).
+ * It fetches every workspace package.json from the configured source repositories
+ * (Opentrons/opentrons@edge by default) and caches
  * only the whitelisted dependencies (both binary packages and npm packages) for faster CI builds.
+ * Source repositories, platforms and whitelisted packages are declared in mirror.config.json.
+ * Versions are read from the source repository's lockfile (package-lock.json, yarn.lock or
+ * pnpm-lock.yaml) and fall back to resolving the package.json range against the npm registry.
  * This provides GitHub's faster download speeds instead of going to package maintainers.
  * 
- * Currently whitelisted packages: cypress, electron, playwright, puppeteer, playwright-core, playwright-chromium, playwright-firefox, playwright-webkit, chromium, firefox, webkit
+ * Releases are published to the storage backends listed in mirror.config.json (GitHub Releases,
+ * S3-compatible buckets or a local directory), several per run if configured.
+ * Releases are created as drafts and only published once every asset is uploaded.
+ * Downloads are checked against the hashes each upstream publishes before they are uploaded.
+ * Each release also gets a SHA256SUMS file and a manifest.json recording the upstream URL,
+ * size, sha256, platform/arch and download time of every asset.
+ * Deploy runs then regenerate the catalog of every cached version in the mirror-index release.
  * 
- * Usage: node scripts/package-cache-automation.js [--deploy] [--package=package-name]
- * --deploy: Actually create the release and upload assets (default: dry run)
- * --package: Specific package to cache (default: all whitelisted packages found)
+ * Artifacts are streamed to and from disk, several at a time, each package in its own temp directory.
+ * 
+ * The resolve and fetch commands are for consumers, see lib/client.
+ * The serve command runs an HTTP server that serves cached assets under each tool's own mirror layout
+ * (ELECTRON_MIRROR, CYPRESS_DOWNLOAD_MIRROR, PLAYWRIGHT_DOWNLOAD_HOST, PUPPETEER_DOWNLOAD_BASE_URL).
+ * 
+ * Usage: node scripts/package-cache-automation.js [--deploy] [--verify] [--verify-before-publish] [--force] [--config=path] [--package=package-name[@version]] [--source=owner/repo@branch] [--concurrency=N] [--retries=N] [--download-timeout=seconds] [--storage=name] [--report=path] [--max-failures=N]
+ * --deploy: Actually create the releases and upload assets (default: dry run)
+ * --verify: Re-download the assets of existing releases and check them against their manifest.json
+ * --force: Replace an existing release with a freshly uploaded one, swapped in once complete (requires --package)
+ * --verify-before-publish: Re-download uploaded assets and check them before publishing the draft
+ * --config: Mirror configuration file (default: mirror.config.js or mirror.config.json in the repository root)
+ * --package: Specific package (name or name@version) to cache (default: all whitelisted packages found)
+ * --source: Source repository to scan, repeatable or comma separated (default: the config's sources)
+ * --concurrency: Number of packages, and of downloads/uploads, handled at the same time (default: 4)
+ * --retries: Retries of a failed download, with exponential backoff, resuming partial files (default: 3)
+ * --download-timeout: Time limit for a single download attempt, or metadata request, in seconds (default: 1800)
+ * --storage: Only use the named storage backends, repeatable or comma separated (default: all configured)
+ * --report: Write a JSON report of the run to this file, a markdown version goes to $GITHUB_STEP_SUMMARY when set
+ * --max-failures: Number of failed packages the run tolerates before exiting non-zero (default: 0)
+ * 
+ * Usage: node scripts/package-cache-automation.js backfill [--package=name@version|range] [--ref-range=base..head] [--budget=N] [--deploy]
+ * --package: Versions to cache, a version or a semver range resolved against the npm registry (name@* for all of them), repeatable
+ * --ref-range: Cache what the sources pinned at every commit between two refs that changed a package.json or lockfile
+ * --budget: Most package versions to cache in one run, already cached ones don't count (default: 10)
+ * 
+ * Usage: node scripts/package-cache-automation.js watch [--package=name] [--budget=N] [--deploy] [--report=path]
+ * watch: Cache the new upstream releases of the packages with a `watch` policy before any source pins them
+ * 
+ * Usage: node scripts/package-cache-automation.js plan|apply [--plan=mirror-plan.json] [--package=name[@version]] [--source=owner/repo@branch] [--storage=name]
+ * plan: Write the creates, repairs and prunes a deploy would make to a plan file for review
+ * apply: Carry out exactly the actions of a plan file, refusing if a release it touches changed since
+ * 
+ * Usage: node scripts/package-cache-automation.js prune [--deploy] [--source=owner/repo@branch] [--storage=name]
+ * prune: Delete the releases the retention policies in mirror.config.json no longer keep (default: print the plan)
+ * 
+ * Usage: node scripts/package-cache-automation.js catalog [--deploy] [--storage=name]
+ * catalog: Regenerate the index.json and index.html catalog of the mirror, as deploy runs do after caching
+ * 
+ * Usage: node scripts/package-cache-automation.js serve [--port=8080] [--host=127.0.0.1] [--proxy] [--backfill] [--deploy] [--storage=name]
+ * --port, --host: Address to listen on (default: 127.0.0.1:8080)
+ * --proxy: Stream assets that aren't cached from upstream instead of answering 404
+ * --backfill: Proxy, and cache the Electron or Cypress version a missed request names
+ * --deploy: Let --backfill publish releases (default: dry run)
+ * 
+ * Usage: node scripts/package-cache-automation.js resolve|fetch --package=name@version [--platform=linux] [--arch=x64] [--kind=chromedriver] [--output=dir] [--server=URL] [--env-output=path] [--storage=name]
+ * resolve: Print where the mirror holds the assets of a package version, or their upstream URL if it doesn't
+ * fetch: Download them into --output (default: current directory), checked against their published sha256, from upstream on a miss
+ * --platform, --arch: Target to resolve for (default: the current one)
+ * --kind: A companion artifact declared for the package instead of the package's own (e.g. Electron's chromedriver)
+ * --server: Print the variables that point the tool at this mirror server instead of at single assets
+ * --env-output: Append the printed variables to a file, e.g. $GITHUB_ENV
  */
 
-const { Octokit } = require('@octokit/rest')
 const fs = require('fs')
 const path = require('path')
-const https = require('https')
 const { execSync } = require('child_process')
+const semver = require('semver')
+const { CATALOG_FILENAME, CATALOG_PAGE_FILENAME, buildCatalog, renderCatalogPage, formatSize } = require('./lib/catalog')
+const {
+  CHECKSUMS_FILENAME,
+  MANIFEST_FILENAME,
+  hashFile,
+  createChecksumsFile,
+  createManifest
+} = require('./lib/checksums')
+const { DEFAULT_CONCURRENCY, parseConcurrency, createLimiter, mapSettled } = require('./lib/concurrency')
+const { createMirrorClient } = require('./lib/client')
+const { loadConfig, describeProviders } = require('./lib/config')
+const {
+  isUnpublished,
+  configureDownloads,
+  downloadFile,
+  createTempDir,
+  removeTempDir,
+  cleanupRunTempDir
+} = require('./lib/download')
+const { detectFormat, withFormatExtension } = require('./lib/formats')
+const { getOctokit } = require('./lib/github-client')
+const { API_RESERVE, parseRefRange, getRateLimitRemaining, listManifestCommits } = require('./lib/history')
+const { verifyUpstreamIntegrity } = require('./lib/integrity')
+const { resolveFromLockfile } = require('./lib/lockfile')
+const {
+  DEFAULT_PLAN_PATH,
+  getReleaseState,
+  createPlan,
+  writePlan,
+  readPlan,
+  findChangedReleases
+} = require('./lib/plan')
+const { planParts, writePart } = require('./lib/parts')
+const { resolveVersionFromRegistry, listVersionsFromRegistry } = require('./lib/registry')
+const {
+  CATALOG_TAG,
+  sanitizeTagName,
+  getTagName,
+  getPackageArtifacts,
+  getArtifactConfig,
+  findManifestEntry,
+  getAssetName,
+  findReleaseAsset,
+  readReleaseManifest,
+  readCachedReleases
+} = require('./lib/releases')
+const {
+  parseMaxFailures,
+  createRunReport,
+  addPackageReport,
+  finishRunReport,
+  writeRunReport
+} = require('./lib/report')
+const { planPrune } = require('./lib/retention')
+const { LAYOUTS, describeLayouts, createMirrorServer } = require('./lib/server')
+const {
+  parseSourceRepo,
+  formatSourceRepo,
+  getLockfileFromRepo,
+  getWorkspaceManifests
+} = require('./lib/sources')
+const { createStorage, withDryRun } = require('./lib/storage')
+const { findUpstreamVersions } = require('./lib/watch')
 
-const REPO_DETAILS = {
-  owner: 'Opentrons',
-  repo: 'package-mirror',
-}
+// Package versions a backfill caches per run, the rest wait for the next one
+const DEFAULT_BACKFILL_BUDGET = 10
+// GitHub Actions cancels jobs after 6 hours, a younger draft may still be filled by another run
+const STALE_DRAFT_AGE = 6 * 60 * 60 * 1000
 
-const SOURCE_REPO = {
-  owner: 'Opentrons',
-  repo: 'opentrons',
-  branch: 'edge'
-}
-
-
-async function getPackageJsonFromRepo(octokit) {
-  try {
-    console.log(`Fetching package.json from ${SOURCE_REPO.owner}/${SOURCE_REPO.repo}...`)
-    const { data } = await octokit.rest.repos.getContent({
-      owner: SOURCE_REPO.owner,
-      repo: SOURCE_REPO.repo,
-      path: 'package.json',
-      ref: SOURCE_REPO.branch
-    })
-    
-    if (data.type !== 'file') {
-      throw new Error('package.json is not a file')
-    }
-    
-    const content = Buffer.from(data.content, 'base64').toString('utf8')
-    return JSON.parse(content)
-  } catch (error) {
-    console.error('Error fetching package.json from repository:', error.message)
-    process.exit(1)
+function parseDependencySpec(name, spec) {
+  // npm aliases install another package under this name, e.g. "npm:electron@^27.0.0"
+  if (spec.startsWith('npm:')) {
+    const target = spec.slice('npm:'.length)
+    const separator = target.lastIndexOf('@')
+    return separator > 0
+      ? { packageName: target.slice(0, separator), range: target.slice(separator + 1) }
+      : { packageName: target, range: 'latest' }
   }
-}
-
-// Whitelist of packages that should be cached
-const ALLOWED_PACKAGES = new Set([
-  'cypress',
-  'electron', 
-  'playwright',
-  'puppeteer',
-  'playwright-core',
-  'playwright-chromium',
-  'playwright-firefox',
-  'playwright-webkit',
-  'chromium',
-  'firefox',
-  'webkit'
-])
-
-// Known packages that have downloadable binaries
-const BINARY_PACKAGES = {
-  cypress: {
-    name: 'Cypress',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => 
-      `https://download.cypress.io/desktop/${version}?platform=${platform}&arch=${arch}`,
-    getFilename: (version, platform, arch) => 
-      `cypress-${version}-${platform}-${arch}.zip`
-  },
-  electron: {
-    name: 'Electron',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => 
-      `https://github.com/electron/electron/releases/download/v${version}/electron-v${version}-${platform}-${arch}.zip`,
-    getFilename: (version, platform, arch) => 
-      `electron-v${version}-${platform}-${arch}.zip`
-  },
-  puppeteer: {
-    name: 'Puppeteer',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Puppeteer downloads Chrome/Chromium binaries
-      const chromeVersion = version.replace(/[^\d.]/g, '')
-      return `https://storage.googleapis.com/chrome-for-testing-public/${chromeVersion}/${platform}-${arch}/chrome-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `puppeteer-chrome-${version}-${platform}-${arch}.zip`
-  },
-  playwright: {
-    name: 'Playwright',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Playwright downloads browser binaries
-      return `https://playwright.azureedge.net/builds/playwright-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `playwright-${version}-${platform}-${arch}.zip`
-  },
-  chromium: {
-    name: 'Chromium',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Chromium downloads from Chrome for Testing
-      return `https://storage.googleapis.com/chrome-for-testing-public/${version}/${platform}-${arch}/chrome-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `chromium-${version}-${platform}-${arch}.zip`
-  },
-  firefox: {
-    name: 'Firefox',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Firefox downloads from Mozilla
-      return `https://download.mozilla.org/?product=firefox-${version}&os=${platform}&lang=en-US`
-    },
-    getFilename: (version, platform, arch) => 
-      `firefox-${version}-${platform}-${arch}.zip`
-  },
-  webkit: {
-    name: 'WebKit',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // WebKit downloads from Playwright
-      return `https://playwright.azureedge.net/builds/webkit-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `webkit-${version}-${platform}-${arch}.zip`
-  },
-  'playwright-core': {
-    name: 'Playwright Core',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Playwright Core downloads browser binaries
-      return `https://playwright.azureedge.net/builds/playwright-core-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `playwright-core-${version}-${platform}-${arch}.zip`
-  },
-  'playwright-chromium': {
-    name: 'Playwright Chromium',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Playwright Chromium downloads Chromium binaries
-      return `https://playwright.azureedge.net/builds/chromium-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `playwright-chromium-${version}-${platform}-${arch}.zip`
-  },
-  'playwright-firefox': {
-    name: 'Playwright Firefox',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Playwright Firefox downloads Firefox binaries
-      return `https://playwright.azureedge.net/builds/firefox-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `playwright-firefox-${version}-${platform}-${arch}.zip`
-  },
-  'playwright-webkit': {
-    name: 'Playwright WebKit',
-    platforms: [
-      { os: 'Linux', platform: 'linux', arch: 'x64' },
-      { os: 'macOS', platform: 'darwin', arch: 'x64' },
-      { os: 'Windows', platform: 'win32', arch: 'x64' }
-    ],
-    getDownloadUrl: (version, platform, arch) => {
-      // Playwright WebKit downloads WebKit binaries
-      return `https://playwright.azureedge.net/builds/webkit-${version}-${platform}-${arch}.zip`
-    },
-    getFilename: (version, platform, arch) => 
-      `playwright-webkit-${version}-${platform}-${arch}.zip`
+  
+  // Workspace, local, git and tarball dependencies have no registry version to resolve
+  if (/^[a-z+]+:/.test(spec) || spec.includes('/')) {
+    return { packageName: null, range: null }
   }
+  
+  return { packageName: name, range: spec.trim() || 'latest' }
 }
 
 function getAllDependencies(packageJson) {
   const deps = { ...packageJson.dependencies, ...packageJson.devDependencies }
-  return Object.entries(deps).map(([name, version]) => ({
+  return Object.entries(deps).map(([name, spec]) => ({
     name,
-    version: version.replace(/^[\^~]/, '') // Remove version prefixes
+    spec,
+    ...parseDependencySpec(name, spec)
   }))
 }
 
-function getAllPackages(packageJson) {
+async function resolveDependencyVersion(dependency, lockfile, importer, { strict = false } = {}) {
+  const { name, spec, packageName, range } = dependency
+  
+  const lockedVersion = resolveFromLockfile(lockfile, name, spec, importer)
+  if (lockedVersion && semver.valid(lockedVersion)) {
+    console.log(`🔒 Resolved ${name}@${spec} to ${lockedVersion} from ${lockfile.filename}`)
+    return lockedVersion
+  }
+  
+  try {
+    const version = await resolveVersionFromRegistry(packageName, range)
+    if (version) {
+      console.log(`🌐 Resolved ${packageName}@${range} to ${version} from the npm registry`)
+    }
+    return version
+  } catch (error) {
+    if (strict) {
+      throw new Error(`Failed to resolve ${packageName}@${range} from the npm registry: ${error.message}`)
+    }
+    console.error(`Failed to resolve ${packageName}@${range} from the npm registry:`, error.message)
+    return null
+  }
+}
+
+async function getAllPackages(packageJson, lockfile, packages, importer = '', { strict = false } = {}) {
   const allDeps = getAllDependencies(packageJson)
   const packagesToCache = []
   
-  console.log(`\nFound ${allDeps.length} total dependencies in package.json`)
-  console.log(`Allowed packages: ${Array.from(ALLOWED_PACKAGES).join(', ')}`)
-  console.log(`Available binary packages: ${Object.keys(BINARY_PACKAGES).join(', ')}`)
+  console.log(`\nFound ${allDeps.length} total dependencies in ${path.posix.join(importer, 'package.json')}`)
   
-  for (const { name, version } of allDeps) {
+  for (const dependency of allDeps) {
     // Only process packages that are in the allowed list
-    if (!ALLOWED_PACKAGES.has(name)) {
-      console.log(`⏭️  Skipping package (not in allowed list): ${name}@${version}`)
+    if (!packages[dependency.packageName || dependency.name]) {
+      console.log(`⏭️  Skipping package (not in allowed list): ${dependency.name}@${dependency.spec}`)
       continue
     }
     
-    if (BINARY_PACKAGES[name]) {
-      console.log(`✅ Found binary package: ${name}@${version}`)
-      packagesToCache.push({
-        name,
-        version,
-        config: BINARY_PACKAGES[name],
-        type: 'binary'
-      })
-    } else {
-      console.log(`📦 Found npm package: ${name}@${version}`)
-      packagesToCache.push({
-        name,
-        version,
-        config: {
-          name: name,
-          platforms: [
-            { os: 'All Platforms', platform: 'npm', arch: 'all' }
-          ],
-          getDownloadUrl: (version) => {
-            // Handle scoped packages (e.g., @aws-sdk/client-cloudfront)
-            if (name.startsWith('@')) {
-              const scopedName = name.replace('@', '').replace('/', '-')
-              return `https://registry.npmjs.org/${name}/-/${scopedName}-${version}.tgz`
-            } else {
-              return `https://registry.npmjs.org/${name}/-/${name}-${version}.tgz`
-            }
-          },
-          getFilename: (version) => {
-            // Handle scoped packages in filename
-            if (name.startsWith('@')) {
-              const scopedName = name.replace('@', '').replace('/', '-')
-              return `${scopedName}-${version}.tgz`
-            } else {
-              return `${name}-${version}.tgz`
-            }
-          }
-        },
-        type: 'npm'
-      })
+    if (!dependency.packageName) {
+      console.log(`⏭️  Skipping package (not a registry dependency): ${dependency.name}@${dependency.spec}`)
+      continue
+    }
+    
+    const name = dependency.packageName
+    const version = await resolveDependencyVersion(dependency, lockfile, importer, { strict })
+    if (!version && strict) {
+      throw new Error(`Unable to resolve ${dependency.name}@${dependency.spec} in ${path.posix.join(importer, 'package.json')} to a published version`)
+    }
+    if (!version) {
+      console.warn(`⚠️  Unable to resolve ${dependency.name}@${dependency.spec} to a published version, skipping`)
+      continue
     }
+    
+    const config = packages[name]
+    console.log(config.type === 'binary'
+      ? `✅ Found binary package: ${name}@${version}`
+      : `📦 Found npm package: ${name}@${version}`)
+    packagesToCache.push({
+      name,
+      version,
+      config,
+      type: config.type
+    })
   }
   
   return packagesToCache
 }
 
-async function checkReleaseExists(octokit, packageName, version) {
-  try {
-    const tagName = sanitizeTagName(`${packageName}-${version}`)
-    const { data } = await octokit.rest.repos.getReleaseByTag({
-      owner: REPO_DETAILS.owner,
-      repo: REPO_DETAILS.repo,
-      tag: tagName
-    })
-    return { exists: true, release: data }
-  } catch (error) {
-    if (error.status === 404) {
-      return { exists: false, release: null }
-    }
-    throw error
-  }
-}
-
-async function downloadFile(url, filepath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(filepath)
-    let redirectCount = 0
-    const maxRedirects = 5
+async function getPackagesFromSources(octokit, sources, packages, { strict = false } = {}) {
+  // The same package is usually pinned in several workspaces, cache each (package, version) once
+  // Strict scans throw instead of skipping what they can't read, for runs that delete whatever isn't pinned
+  const packagesByKey = new Map()
+  
+  for (const source of sources) {
+    const manifests = await getWorkspaceManifests(octokit, source, { strict })
+    const lockfile = await getLockfileFromRepo(octokit, source, { strict })
     
-    const download = (downloadUrl) => {
-      if (redirectCount >= maxRedirects) {
-        reject(new Error(`Too many redirects (${redirectCount})`))
-        return
-      }
+    for (const { dir, packageJson } of manifests) {
+      const location = `${formatSourceRepo(source)}:${path.posix.join(dir, 'package.json')}`
       
-      https.get(downloadUrl, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location
-          if (redirectUrl) {
-            redirectCount++
-            console.log(`Redirecting from ${downloadUrl} to: ${redirectUrl}`)
-            download(redirectUrl)
-            return
-          } else {
-            console.error(`Redirect response but no location header: ${response.statusCode}`)
-            reject(new Error(`Redirect without location header: ${response.statusCode}`))
-            return
-          }
+      for (const packageInfo of await getAllPackages(packageJson, lockfile, packages, dir, { strict })) {
+        const key = `${packageInfo.name}@${packageInfo.version}`
+        if (!packagesByKey.has(key)) {
+          packagesByKey.set(key, { ...packageInfo, sources: [] })
         }
-        
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download: ${response.statusCode}`))
-          return
-        }
-        
-        response.pipe(file)
-        file.on('finish', () => {
-          file.close()
-          resolve()
-        })
-      }).on('error', (err) => {
-        fs.unlink(filepath, () => {}) // Delete the file on error
-        reject(err)
-      })
+        packagesByKey.get(key).sources.push(location)
+      }
     }
-    
-    download(url)
-  })
+  }
+  
+  return Array.from(packagesByKey.values())
 }
 
-async function downloadPackageBinary(packageName, version, platform, arch, config) {
-  const url = config.getDownloadUrl(version, platform, arch)
-  const filename = config.getFilename(version, platform, arch)
-  const filepath = path.join(__dirname, '..', 'temp', filename)
+async function getBackfillPackages(octokit, sources, mirrorConfig) {
+  const packageArgs = process.argv.filter(arg => arg.startsWith('--package='))
+  const refRangeArg = process.argv.find(arg => arg.startsWith('--ref-range='))
+  if (packageArgs.length === 0 && !refRangeArg) {
+    throw new Error('backfill needs --package=name@version|range or --ref-range=base..head')
+  }
   
-  // Create temp directory if it doesn't exist
-  const tempDir = path.dirname(filepath)
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true })
+  const packagesByKey = new Map()
+  const addPackage = (packageInfo, locations) => {
+    const key = `${packageInfo.name}@${packageInfo.version}`
+    if (!packagesByKey.has(key)) {
+      packagesByKey.set(key, { ...packageInfo, sources: [] })
+    }
+    packagesByKey.get(key).sources.push(...locations)
   }
   
-  console.log(`Downloading ${filename} from ${url}`)
-  try {
-    await downloadFile(url, filepath)
-    console.log(`Downloaded ${filename}`)
-  } catch (error) {
-    console.error(`Failed to download ${filename}:`, error.message)
-    throw error
+  // --package=electron@27.3.1 or a range, --package=electron@">=26 <28"
+  for (const arg of packageArgs) {
+    const spec = arg.slice('--package='.length)
+    const separator = spec.lastIndexOf('@')
+    const name = separator > 0 ? spec.slice(0, separator) : spec
+    const range = separator > 0 ? spec.slice(separator + 1) : ''
+    const config = mirrorConfig.packages[name]
+    if (!config) {
+      throw new Error(`${name} is not declared in ${mirrorConfig.path}, allowed packages: ${Object.keys(mirrorConfig.packages).join(', ')}`)
+    }
+    // A bare name would match every version ever published, use --package=name@* to mean it
+    if (!range.trim()) {
+      throw new Error(`--package "${spec}" needs a version or range, e.g. ${name}@1.2.3 or ${name}@">=1 <3"`)
+    }
+    if (!semver.valid(range) && !semver.validRange(range)) {
+      throw new Error(`Invalid --package "${spec}", expected name@version or name@range`)
+    }
+  
+    const versions = semver.valid(range) ? [range] : await listVersionsFromRegistry(name, range)
+    console.log(`🔍 ${name}@${range} covers ${versions.length} published version(s)`)
+    for (const version of versions) {
+      addPackage({ name, version, config, type: config.type }, [`--package=${spec}`])
+    }
+  }
+  
+  if (refRangeArg) {
+    const { base, head } = parseRefRange(refRangeArg.slice('--ref-range='.length))
+    for (const source of sources) {
+      const commits = await listManifestCommits(octokit, source, base, head || source.branch || 'HEAD')
+      // What base itself pins counts too, it's the first commit of the range a bisect checks out
+      const refs = [...commits.map(commit => commit.sha), base]
+  
+      for (const [index, ref] of refs.entries()) {
+        if (await getRateLimitRemaining(octokit) < API_RESERVE) {
+          console.warn(`⚠️  GitHub API rate limit almost used up, ${refs.length - index} commit(s) of ${formatSourceRepo(source)} left unscanned`)
+          break
+        }
+  
+        try {
+          for (const packageInfo of await getPackagesFromSources(octokit, [{ ...source, branch: ref }], mirrorConfig.packages)) {
+            addPackage(packageInfo, packageInfo.sources)
+          }
+        } catch (error) {
+          // e.g. a commit from before the package.json existed
+          console.warn(`⚠️  Failed to read the packages pinned at ${ref}:`, error.message)
+        }
+      }
+    }
   }
   
-  return { filepath, filename }
+  return Array.from(packagesByKey.values())
 }
 
-async function downloadNpmPackage(packageName, version, config) {
-  const url = config.getDownloadUrl(version)
-  const filename = config.getFilename(version)
-  const filepath = path.join(__dirname, '..', 'temp', filename)
+async function getWatchedPackages(mirrorConfig, specificName) {
+  const packages = []
+  for (const [name, config] of Object.entries(mirrorConfig.packages)) {
+    if (!config.watch || (specificName && name !== specificName)) continue
   
-  // Create temp directory if it doesn't exist
-  const tempDir = path.dirname(filepath)
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true })
+    try {
+      const releases = await findUpstreamVersions(name, config)
+      console.log(`👀 ${name}: ${releases.map(release => `${release.version}${release.prerelease ? ' (prerelease)' : ''}`).join(', ') || 'no releases'} from ${releases.length > 0 ? releases[0].source : 'upstream'}`)
+      for (const release of releases) {
+        packages.push({ name, version: release.version, config, type: config.type, sources: [`upstream ${release.source}`], prerelease: release.prerelease })
+      }
+    } catch (error) {
+      // One unreachable feed shouldn't keep the other packages from being watched
+      console.warn(`⚠️  Failed to list the upstream releases of ${name}:`, error.message)
+    }
+  }
+  return packages
+}
+
+async function findIncompleteStorages(packageInfo, storages) {
+  const tagName = getTagName(packageInfo.name, packageInfo.version)
+  const artifacts = await getPackageArtifacts(packageInfo)
+  const incomplete = []
+  for (const storage of storages) {
+    // Checked like prepareTarget does, a platform added to the config since leaves the release incomplete
+    const release = await storage.getRelease(tagName)
+    if (!release || findMissingAssets(release, await readReleaseManifest(storage, release), artifacts).length > 0) {
+      incomplete.push(storage)
+    }
+  }
+  return incomplete
+}
+
+async function findUncachedPackages(packages, storages) {
+  const missing = []
+  for (const packageInfo of packages) {
+    let incomplete
+    try {
+      incomplete = await findIncompleteStorages(packageInfo, storages)
+    } catch (error) {
+      // Caching it reports the same error, with the package it belongs to
+      console.warn(`⚠️  Couldn't check whether ${packageInfo.name}@${packageInfo.version} is cached:`, error.message)
+      incomplete = storages
+    }
+    if (incomplete.length === 0) {
+      console.log(`✅ ${packageInfo.name}@${packageInfo.version} is already cached`)
+    } else {
+      missing.push(packageInfo)
+    }
+  }
+  return missing
+}
+
+function takeBudget(missing, budget) {
+  // Only versions some backend is missing count against the budget
+  if (missing.length > budget) {
+    const deferred = missing.slice(budget)
+    console.log(`⏳ Budget of ${budget} version(s) reached, left for the next run: ${deferred.map(p => `${p.name}@${p.version}`).join(', ')}`)
   }
+  return missing.slice(0, budget)
+}
+
+async function downloadArtifact(artifact, tempDir) {
+  const { url, filename } = artifact
+  const filepath = path.join(tempDir, filename)
   
   console.log(`Downloading ${filename} from ${url}`)
+  let response
   try {
-    await downloadFile(url, filepath)
+    response = await downloadFile(url, filepath)
     console.log(`Downloaded ${filename}`)
   } catch (error) {
     console.error(`Failed to download ${filename}:`, error.message)
     throw error
   }
   
-  return { filepath, filename }
-}
-
-function sanitizeTagName(name) {
-  // GitHub tag names must be valid git refs
-  // Remove or replace invalid characters
-  return name
-    .replace(/[^a-zA-Z0-9._-]/g, '-')  // Replace invalid chars with hyphens
-    .replace(/^[.-]/, '')              // Remove leading dots/hyphens
-    .replace(/[.-]$/, '')              // Remove trailing dots/hyphens
-    .replace(/-+/g, '-')               // Replace multiple hyphens with single
-    .substring(0, 100)                 // Limit length
+  return {
+    filepath,
+    filename,
+    url,
+    finalUrl: response.url,
+    headers: response.headers,
+    downloadedAt: new Date().toISOString()
+  }
 }
 
-async function createRelease(octokit, packageName, version, deploy, config) {
-  const tagName = sanitizeTagName(`${packageName}-${version}`)
-  const releaseName = `${config.name} ${version} Cache`
-  const body = `Cached ${config.name} ${version} binaries for faster CI builds.
+function getReleaseDetails(packageInfo) {
+  const { version, config, sources = [] } = packageInfo
+  return {
+    name: `${config.name} ${version} Cache`,
+    body: `Cached ${config.name} ${version} binaries for faster CI builds.
 
 This release contains pre-downloaded ${config.name} binaries for all supported platforms to speed up CI builds.
 
 **Generated by:** Package Cache Automation Script
 **Package:** ${config.name}
 **Version:** ${version}
-**Source Repository:** ${SOURCE_REPO.owner}/${SOURCE_REPO.repo}
+**Pinned In:** ${sources.join(', ')}
 **Created:** ${new Date().toISOString()}`
-
-  if (deploy) {
-    const { data } = await octokit.rest.repos.createRelease({
-      owner: REPO_DETAILS.owner,
-      repo: REPO_DETAILS.repo,
-      tag_name: tagName,
-      name: releaseName,
-      body: body,
-      draft: false,
-      prerelease: false
-    })
-    return data
-  } else {
-    console.log(`[DRY RUN] Would create release: ${tagName}`)
-    console.log(`[DRY RUN] Title: ${releaseName}`)
-    console.log(`[DRY RUN] Body: ${body}`)
-    return { id: 'dry-run', upload_url: 'dry-run' }
   }
 }
 
-async function uploadAsset(octokit, release, filepath, filename, deploy) {
-  if (!deploy) {
-    console.log(`[DRY RUN] Would upload asset: ${filename}`)
-    return
+async function deleteRelease(storage, release) {
+  await storage.deleteRelease(release)
+  if (!storage.dryRun) {
+    console.log(`🗑️  Deleted ${release.draft ? 'draft ' : ''}release ${release.name} from ${storage.name}`)
   }
+}
 
-  const fileContent = fs.readFileSync(filepath)
-  const { data } = await octokit.rest.repos.uploadReleaseAsset({
-    owner: REPO_DETAILS.owner,
-    repo: REPO_DETAILS.repo,
-    release_id: release.id,
-    name: filename,
-    data: fileContent,
-    headers: {
-      'content-type': 'application/zip',
-      'content-length': fileContent.length
+async function removeStaleDrafts(storage, tag) {
+  for (const draft of await storage.findDrafts(tag)) {
+    const age = draft.createdAt ? Date.now() - new Date(draft.createdAt).getTime() : Infinity
+    if (age < STALE_DRAFT_AGE) {
+      // Both drafts get filled, whichever is published first wins and the other is dropped
+      console.log(`⏳ Another run is filling a draft release for ${tag} on ${storage.name}, creating one alongside`)
+      continue
     }
-  })
-  console.log(`Uploaded ${filename}`)
-  return data
+    console.log(`🧹 Found leftover draft release for ${tag} on ${storage.name}`)
+    await deleteRelease(storage, draft)
+  }
+}
+
+async function publishRelease(storage, release) {
+  const published = await storage.publishRelease(release)
+  if (!storage.dryRun && published.id !== release.id) {
+    console.log(`🤝 Another run published ${release.name} on ${storage.name} first, dropped this run's draft`)
+  } else if (!storage.dryRun) {
+    console.log(`🚀 Published release ${release.name} on ${storage.name}`)
+  }
+  return published
 }
 
-async function cleanup(filepaths) {
-  for (const filepath of filepaths) {
+async function uploadAsset(storage, release, filepath, filename, contentType = 'application/zip') {
+  const asset = await storage.uploadAsset(release, filepath, filename, contentType)
+  if (!storage.dryRun) {
+    console.log(`Uploaded ${filename} to ${storage.name}`)
+  }
+  return asset
+}
+
+async function uploadDownload(storage, release, download, tempDir) {
+  const { size } = fs.statSync(download.filepath)
+  if (size <= storage.maxAssetSize) {
+    await uploadAsset(storage, release, download.filepath, download.filename, download.contentType)
+    return null
+  }
+  
+  // Too big for the backend (GitHub's 2 GiB), uploaded in parts the manifest lists in order
+  console.log(`✂️  ${download.filename} is ${formatSize(size)}, splitting it for ${storage.name}`)
+  const parts = []
+  for (const part of planParts(download.filename, size, storage.maxAssetSize)) {
+    const partPath = path.join(tempDir, part.name)
     try {
-      fs.unlinkSync(filepath)
-      console.log(`Cleaned up ${filepath}`)
-    } catch (error) {
-      console.warn(`Failed to cleanup ${filepath}:`, error.message)
+      parts.push(await writePart(download.filepath, part, partPath))
+      await uploadAsset(storage, release, partPath, part.name, 'application/octet-stream')
+    } finally {
+      fs.unlink(partPath, () => {})
+    }
+  }
+  return parts
+}
+
+async function describeAsset(download, { os, platform, arch, mirrorPath, hostPlatforms, filename, kind }) {
+  const { digest, size } = await hashFile(download.filepath)
+  return {
+    name: download.filename,
+    url: download.url,
+    size,
+    sha256: digest,
+    os,
+    platform,
+    arch,
+    mirrorPath,
+    hostPlatforms,
+    kind,
+    artifact: filename,
+    format: download.format,
+    originalFormat: download.originalFormat,
+    downloadedAt: download.downloadedAt
+  }
+}
+
+async function prepareDownload(download, artifact, packageInfo, tempDir) {
+  const { version } = packageInfo
+  const config = getArtifactConfig(packageInfo.config, artifact)
+  const { platform, arch, filename } = artifact
+  let format = detectFormat(download.filepath, { headers: download.headers, url: download.finalUrl })
+  
+  // Providers may turn installers (a .dmg, an .exe) into an archive consumers can extract
+  if (config.repackage) {
+    const repackaged = await config.repackage(version, platform, arch, { ...download, format: format.name }, tempDir)
+    if (repackaged) {
+      const originalFormat = format.name
+      fs.unlink(download.filepath, () => {})
+      download.filepath = repackaged
+      format = detectFormat(repackaged)
+      download.originalFormat = originalFormat
+      console.log(`📦 Repackaged ${filename} from ${originalFormat} to ${format.name}`)
     }
   }
   
-  // Remove temp directory if empty
-  const tempDir = path.join(__dirname, '..', 'temp')
+  download.format = format.name
+  download.contentType = format.contentType
+  download.filename = withFormatExtension(filename, format)
+  if (download.filename !== filename) {
+    console.log(`📝 ${filename} is a ${format.name} (${format.source}), uploading it as ${download.filename}`)
+  }
+  return download
+}
+
+async function describeExistingAsset(storage, release, releaseAsset, artifact, manifestEntry, tempDir) {
+  // What the release's manifest recorded is authoritative, it was hashed when the asset was downloaded
+  if (manifestEntry) {
+    return manifestEntry
+  }
+  
+  const { os, platform, arch, mirrorPath, hostPlatforms, kind, url } = artifact
+  const asset = {
+    name: releaseAsset.name,
+    url,
+    size: releaseAsset.size,
+    os,
+    platform,
+    arch,
+    mirrorPath,
+    hostPlatforms,
+    kind,
+    downloadedAt: releaseAsset.createdAt
+  }
+  
+  // Some backends report a sha256 (GitHub does for assets uploaded since mid 2025), the rest have to be hashed here
+  if (releaseAsset.sha256) {
+    return { ...asset, sha256: releaseAsset.sha256 }
+  }
+  
+  const filepath = path.join(tempDir, releaseAsset.name)
   try {
-    fs.rmdirSync(tempDir)
-    console.log(`Cleaned up temp directory`)
-  } catch (error) {
-    // Directory not empty or doesn't exist, that's fine
+    await storage.downloadAsset(release, releaseAsset, filepath)
+    const { digest } = await hashFile(filepath)
+    return { ...asset, sha256: digest }
+  } finally {
+    fs.unlink(filepath, () => {})
   }
 }
 
-async function cachePackage(packageInfo, deploy) {
+async function uploadReleaseMetadata(storage, release, packageInfo, tagName, assets, skipped, tempDir) {
   const { name: packageName, version, config } = packageInfo
+  const manifest = createManifest(packageName, version, tagName, config, assets, skipped)
+  
+  const checksumsPath = path.join(tempDir, CHECKSUMS_FILENAME)
+  fs.writeFileSync(checksumsPath, createChecksumsFile(assets))
+  
+  const manifestPath = path.join(tempDir, MANIFEST_FILENAME)
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n')
+  
+  await uploadAsset(storage, release, checksumsPath, CHECKSUMS_FILENAME, 'text/plain')
+  await uploadAsset(storage, release, manifestPath, MANIFEST_FILENAME, 'application/json')
+  
+  return manifest
+}
 
-  console.log(`\n📦 Processing ${config.name} ${version}...`)
+async function verifyReleaseAssets(storage, release, releaseAssets, manifest, tempDir, limit) {
+  const assetsByName = new Map(releaseAssets.map(asset => [asset.name, asset]))
+  
+  // Split assets are checked part by part, each part's sha256 was taken when it was cut
+  const expectedFiles = manifest.assets.flatMap(asset => asset.parts || [asset])
+  const results = await mapSettled(expectedFiles, limit, async (expected) => {
+    const releaseAsset = assetsByName.get(expected.name)
+    if (!releaseAsset) {
+      console.log(`❌ ${expected.name} is listed in ${MANIFEST_FILENAME} but missing from ${storage.name}`)
+      return false
+    }
+  
+    const filepath = path.join(tempDir, expected.name)
+    try {
+      await storage.downloadAsset(release, releaseAsset, filepath)
+  
+      const { digest, size } = await hashFile(filepath)
+      if (digest !== expected.sha256 || size !== expected.size) {
+        console.log(`❌ ${expected.name}: expected sha256 ${expected.sha256} (${expected.size} bytes), got ${digest} (${size} bytes) on ${storage.name}`)
+        return false
+      }
+      console.log(`✅ ${expected.name} on ${storage.name} matches ${MANIFEST_FILENAME}`)
+      return true
+    } finally {
+      fs.unlink(filepath, () => {})
+    }
+  })
+  
+  return results.every(Boolean)
+}
+
+function findMissingAssets(release, manifest, artifacts) {
+  const keptAssets = new Map(release.assets.filter(asset => asset.usable).map(asset => [asset.name, asset]))
+  
+  // Targets upstream didn't publish when the release was made aren't missing
+  const skippedNames = new Set(manifest ? (manifest.skipped || []).map(entry => entry.name) : [])
+  const missing = artifacts
+    .filter(artifact => !skippedNames.has(artifact.filename))
+    .filter(artifact => !findReleaseAsset(keptAssets, manifest, artifact))
+    .map(artifact => getAssetName(manifest, artifact))
+  for (const name of [CHECKSUMS_FILENAME, MANIFEST_FILENAME]) {
+    if (!keptAssets.has(name)) missing.push(name)
+  }
+  return missing
+}
+
+async function prepareTarget(storage, packageInfo, artifacts, tagName, force) {
+  const release = await storage.getRelease(tagName)
+  
+  if (release && force) {
+    // The old release keeps serving until its replacement is complete, it goes right before the new one is published
+    console.log(`♻️  Release ${tagName} already exists on ${storage.name}, building a replacement (--force)`)
+  }
+  
+  if (release && !force) {
+    const manifest = await readReleaseManifest(storage, release)
+    const keptAssets = new Map(release.assets.filter(asset => asset.usable).map(asset => [asset.name, asset]))
+    const missing = findMissingAssets(release, manifest, artifacts)
+  
+    if (missing.length === 0) {
+      console.log(`✅ Release ${tagName} already exists on ${storage.name}`)
+      console.log(`Release URL: ${release.url}`)
+      return null
+    }
+  
+    console.log(`🔧 Release ${tagName} on ${storage.name} is incomplete, missing ${missing.length} asset(s): ${missing.join(', ')}`)
+    return { storage, release, manifest, keptAssets, action: 'repaired', uploadedCount: 0 }
+  }
+  
+  if (!release) {
+    console.log(`❌ Release ${tagName} does not exist on ${storage.name}. Creating...`)
+  }
+  
+  // Drafts left behind by interrupted runs are never published, start from a clean one
+  await removeStaleDrafts(storage, tagName)
+  
+  const draft = await storage.createRelease(tagName, getReleaseDetails(packageInfo))
+  if (!storage.dryRun) {
+    console.log(`Created draft release: ${draft.url}`)
+  }
+  return { storage, release: draft, replaces: release, manifest: null, keptAssets: new Map(), action: release ? 'recreated' : 'created', uploadedCount: 0 }
+}
+
+async function cacheArtifact(artifact, targets, packageInfo, tempDir, report = null) {
+  const { version, config } = packageInfo
+  const { os, platform, arch, filename } = artifact
+  // Per target: { asset } once the target holds the artifact, { skipped } if upstream doesn't publish it
+  const results = new Map()
+  const startedAt = Date.now()
+  const record = (status, details = {}) => {
+    if (report) {
+      report.artifacts.push({ name: filename, platform, arch, status, bytes: 0, durationMs: Date.now() - startedAt, ...details })
+    }
+  }
+  
+  for (const target of targets) {
+    const keptAsset = findReleaseAsset(target.keptAssets, target.manifest, artifact)
+    const previouslySkipped = target.manifest && (target.manifest.skipped || []).find(entry => entry.name === filename)
+    if (keptAsset) {
+      const manifestEntry = findManifestEntry(target.manifest, artifact)
+      results.set(target, {
+        asset: await describeExistingAsset(target.storage, target.release, keptAsset, artifact, manifestEntry, target.tempDir)
+      })
+    } else if (previouslySkipped) {
+      results.set(target, { skipped: previouslySkipped })
+    }
+  }
+  
+  // Download once, however many backends are missing the artifact
+  const pending = targets.filter(target => !results.has(target))
+  if (pending.length === 0) {
+    record(Array.from(results.values()).every(result => result.skipped) ? 'skipped' : 'kept')
+    return results
+  }
   
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN })
+  if (packageInfo.type === 'npm') {
+    // NPM packages only need one download
+    console.log(`\nProcessing npm package...`)
+  } else {
+    console.log(`\nProcessing ${filename} for ${os} (${platform}-${arch})...`)
+  }
   
-  // Check if release already exists
-  const { exists, release } = await checkReleaseExists(octokit, packageName, version)
+  let download
+  try {
+    download = await downloadArtifact(artifact, tempDir)
+  } catch (error) {
+    // Not every version is built for every target (e.g. Electron darwin-arm64 before 11)
+    if (isUnpublished(error)) {
+      console.log(`⏭️  ${filename} is not published upstream for ${platform}-${arch}, skipping`)
+      const skipped = { name: filename, os, platform, arch, reason: `upstream returned ${error.statusCode}` }
+      for (const target of pending) {
+        results.set(target, { skipped })
+      }
+      record('skipped', { reason: skipped.reason })
+      return results
+    }
+    record('failed', { error: error.message })
+    throw error
+  }
   
-  if (exists) {
-    const tagName = sanitizeTagName(`${packageName}-${version}`)
-    console.log(`✅ Release ${tagName} already exists`)
-    console.log(`Release URL: ${release.html_url}`)
-    return true
+  try {
+    await verifyUpstreamIntegrity(download, getArtifactConfig(config, artifact), version, platform, arch)
+    await prepareDownload(download, artifact, packageInfo, tempDir)
+    const asset = await describeAsset(download, artifact)
+    for (const target of pending) {
+      const parts = await uploadDownload(target.storage, target.release, download, target.tempDir)
+      target.uploadedCount++
+      results.set(target, { asset: parts ? { ...asset, parts } : asset })
+    }
+    record('downloaded', { bytes: asset.size })
+    return results
+  } catch (error) {
+    record('failed', { error: error.message })
+    throw error
+  } finally {
+    // Don't keep every artifact of a package on disk until the last one is uploaded
+    fs.unlink(download.filepath, () => {})
   }
+}
+
+async function cachePackage(packageInfo, storages, { force = false, verifyBeforePublish = false, limit = createLimiter(1), report = null } = {}) {
+  const { name: packageName, version, config } = packageInfo
+  
+  console.log(`\n📦 Processing ${config.name} ${version}...`)
   
   const originalTagName = `${packageName}-${version}`
   const tagName = sanitizeTagName(originalTagName)
   if (originalTagName !== tagName) {
     console.log(`📝 Sanitized tag name: "${originalTagName}" → "${tagName}"`)
   }
-  console.log(`❌ Release ${tagName} does not exist. Creating...`)
   
-  // Create the release
-  const newRelease = await createRelease(octokit, packageName, version, deploy, config)
-  
-  if (deploy) {
-    console.log(`Created release: ${newRelease.html_url}`)
+  let artifacts
+  try {
+    // Applied plans bring the artifacts that were reviewed
+    artifacts = packageInfo.artifacts || await getPackageArtifacts(packageInfo)
+  } catch (error) {
+    console.error(`❌ Failed to list ${config.name} ${version} artifacts:`, error.message)
+    if (report) report.error = error.message
+    return 'failed'
   }
   
-  // Download and upload packages
-  const downloadedFiles = []
+  // Every package gets its own temp directory, artifacts of different packages may share a filename
+  const tempDir = createTempDir(tagName)
+  // Backends this package has to be uploaded to, with the release each one is filling
+  const targets = []
   
   try {
-    if (packageInfo.type === 'binary') {
-      // Binary packages need downloads for all platforms
-      for (const { os, platform, arch } of config.platforms) {
-        console.log(`\nProcessing ${os} (${platform}-${arch})...`)
-        
-        const { filepath, filename } = await downloadPackageBinary(packageName, version, platform, arch, config)
-        downloadedFiles.push(filepath)
-        
-        await uploadAsset(octokit, newRelease, filepath, filename, deploy)
+    for (const [index, storage] of storages.entries()) {
+      const target = await prepareTarget(storage, packageInfo, artifacts, tagName, force)
+      if (target) {
+        // Metadata and verification downloads differ per backend, keep them apart
+        targets.push({ ...target, tempDir: fs.mkdtempSync(path.join(tempDir, `storage-${index}-`)) })
       }
-    } else {
-      // NPM packages only need one download
-      console.log(`\nProcessing npm package...`)
-      
-      const { filepath, filename } = await downloadNpmPackage(packageName, version, config)
-      downloadedFiles.push(filepath)
-      
-      await uploadAsset(octokit, newRelease, filepath, filename, deploy)
     }
-    
-    // Only print success message if we get here (all downloads succeeded)
-    if (packageInfo.type === 'binary') {
-      console.log(`\n✅ Successfully cached ${config.name} ${version} for all platforms`)
-    } else {
-      console.log(`\n✅ Successfully cached ${config.name} ${version} npm package`)
+  
+    if (targets.length === 0) {
+      return 'up-to-date'
     }
-    if (deploy) {
-      console.log(`Release URL: ${newRelease.html_url}`)
+  
+    // Artifacts are downloaded, checked and uploaded side by side, results keep the provider's order
+    const results = await mapSettled(artifacts, limit, artifact => cacheArtifact(artifact, targets, packageInfo, tempDir, report))
+  
+    for (const target of targets) {
+      const targetResults = results.map(result => result.get(target))
+      target.assets = targetResults.filter(result => result.asset).map(result => result.asset)
+      target.skipped = targetResults.filter(result => result.skipped).map(result => result.skipped)
     }
-    
-    return true
-    
+  
+    if (targets.some(target => target.assets.length === 0)) {
+      throw new Error(`No platform of ${config.name} ${version} is published upstream`)
+    }
+  
+    for (const target of targets) {
+      const { storage } = target
+  
+      // Checksums and manifest go up last so they always describe a complete set of assets
+      const manifest = await uploadReleaseMetadata(storage, target.release, packageInfo, tagName, target.assets, target.skipped, target.tempDir)
+  
+      if (target.release.draft) {
+        if (verifyBeforePublish && !storage.dryRun) {
+          console.log(`\n🔎 Verifying assets uploaded to ${storage.name} before publishing...`)
+          const releaseAssets = await storage.listAssets(target.release)
+          if (!await verifyReleaseAssets(storage, target.release, releaseAssets, manifest, target.tempDir, limit)) {
+            throw new Error(`Uploaded assets of ${tagName} on ${storage.name} don't match ${MANIFEST_FILENAME}`)
+          }
+        }
+  
+        if (target.replaces) {
+          await deleteRelease(storage, target.replaces)
+        }
+        target.release = await publishRelease(storage, target.release)
+      }
+  
+      // Only print success message if we get here (all downloads succeeded)
+      if (target.action === 'repaired') {
+        console.log(`\n🔧 Repaired ${tagName} on ${storage.name}: uploaded ${target.uploadedCount} missing asset(s), kept ${target.keptAssets.size}`)
+      } else if (packageInfo.type === 'binary') {
+        console.log(`\n✅ Successfully cached ${config.name} ${version} on ${storage.name} (${target.assets.length} asset(s))`)
+      } else {
+        console.log(`\n✅ Successfully cached ${config.name} ${version} npm package on ${storage.name}`)
+      }
+      if (!storage.dryRun) {
+        console.log(`Release URL: ${target.release.url}`)
+      }
+    }
+  
+    if (report) report.storages = targets.map(target => target.storage.name)
+    // New releases outrank repairs when backends were in different states
+    return ['created', 'recreated', 'repaired'].find(action => targets.some(target => target.action === action))
+  
   } catch (error) {
     console.error(`❌ Failed to cache ${config.name} ${version}:`, error.message)
-    return false
+    if (report) report.error = error.message
+  
+    // A failed draft is never published, drop it so the next run starts clean
+    for (const target of targets.filter(candidate => candidate.release.draft)) {
+      try {
+        await deleteRelease(target.storage, target.release)
+      } catch (deleteError) {
+        console.warn(`Failed to delete draft release ${target.release.name} on ${target.storage.name}:`, deleteError.message)
+      }
+    }
+    return 'failed'
   } finally {
-    // Cleanup downloaded files
-    await cleanup(downloadedFiles)
+    removeTempDir(tempDir)
   }
 }
 
-async function main() {
-  const deploy = process.argv.includes('--deploy')
+async function verifyPackage(packageInfo, storages, { limit = createLimiter(1) } = {}) {
+  const { name: packageName, version, config } = packageInfo
+  const tagName = getTagName(packageName, version)
+  
+  console.log(`\n🔎 Verifying ${config.name} ${version}...`)
+  
+  let valid = true
+  for (const storage of storages) {
+    const release = await storage.getRelease(tagName)
+    if (!release) {
+      console.log(`❌ Release ${tagName} does not exist on ${storage.name}`)
+      valid = false
+      continue
+    }
+  
+    const manifest = await readReleaseManifest(storage, release)
+    if (!manifest) {
+      console.log(`❌ Release ${tagName} on ${storage.name} has no ${MANIFEST_FILENAME} to verify against`)
+      valid = false
+      continue
+    }
+  
+    const tempDir = createTempDir(tagName)
+    try {
+      if (!await verifyReleaseAssets(storage, release, release.assets, manifest, tempDir, limit)) {
+        valid = false
+      }
+    } catch (error) {
+      console.error(`❌ Failed to verify ${config.name} ${version} on ${storage.name}:`, error.message)
+      valid = false
+    } finally {
+      removeTempDir(tempDir)
+    }
+  }
+  
+  return valid
+}
+
+async function publishCatalog(mirrorConfig, storages) {
+  const entries = []
+  for (const storage of storages) {
+    for (const { release, manifest } of await readCachedReleases(storage)) {
+      if (manifest) {
+        entries.push({ storage, release, manifest })
+      } else {
+        console.warn(`⚠️  ${release.tag} on ${storage.name} has no readable ${MANIFEST_FILENAME}, leaving it out of the catalog`)
+      }
+    }
+  }
+  
+  const catalog = buildCatalog(entries, mirrorConfig.packages)
+  const versionCount = Object.values(catalog.packages).reduce((count, entry) => count + Object.keys(entry.versions).length, 0)
+  console.log(`\n📇 Catalog lists ${versionCount} version(s) of ${Object.keys(catalog.packages).length} package(s)`)
+  
+  const tempDir = createTempDir(CATALOG_TAG)
+  const files = [
+    { name: CATALOG_FILENAME, content: JSON.stringify(catalog, null, 2) + '\n', contentType: 'application/json' },
+    { name: CATALOG_PAGE_FILENAME, content: renderCatalogPage(catalog), contentType: 'text/html' }
+  ]
+  for (const file of files) {
+    fs.writeFileSync(path.join(tempDir, file.name), file.content)
+  }
+  
+  let failed = 0
+  try {
+    for (const storage of storages) {
+      try {
+        // One long-lived release, its assets are replaced on every run
+        let release = await storage.getRelease(CATALOG_TAG)
+        const isNew = !release
+        if (isNew) {
+          await removeStaleDrafts(storage, CATALOG_TAG)
+          release = await storage.createRelease(CATALOG_TAG, {
+            name: 'Package Mirror Catalog',
+            body: `Every cached package version, with its platforms, assets, sizes, checksums and upstream URLs.\n\n**${CATALOG_FILENAME}** is for tooling, **${CATALOG_PAGE_FILENAME}** for people. Both are regenerated on every deploy run.`
+          })
+        }
+        for (const file of files) {
+          await uploadAsset(storage, release, path.join(tempDir, file.name), file.name, file.contentType)
+        }
+        if (isNew) {
+          await publishRelease(storage, release)
+        }
+      } catch (error) {
+        failed++
+        console.error(`❌ Failed to publish the catalog to ${storage.name}:`, error.message)
+      }
+    }
+  } finally {
+    removeTempDir(tempDir)
+  }
+  return failed === 0
+}
+
+async function getPrunePlan(mirrorConfig, storages, pinned) {
+  // Whatever the sources install today is kept however old it is
+  const pinnedInSources = new Set(pinned.map(packageInfo => `${packageInfo.name}@${packageInfo.version}`))
+  
+  const entries = []
+  for (const storage of storages) {
+    for (const { release, manifest } of await readCachedReleases(storage)) {
+      if (!manifest) {
+        console.warn(`⚠️  ${release.tag} on ${storage.name} has no readable ${MANIFEST_FILENAME}, keeping it`)
+        continue
+      }
+      entries.push({ storage, release, manifest })
+    }
+  }
+  
+  const plan = planPrune(entries, mirrorConfig.packages, pinnedInSources)
+  const unmanaged = [...new Set(entries.map(entry => entry.manifest.package))]
+    .filter(packageName => !plan.some(item => item.packageName === packageName))
+  return { plan, unmanaged }
+}
+
+async function prune(mirrorConfig, storages, octokit, sources, { deploy }) {
+  // Anything the scan can't read or resolve stops the prune, nothing pinned may be deleted
+  const pinned = await getPackagesFromSources(octokit, sources, mirrorConfig.packages, { strict: true })
+  const { plan, unmanaged } = await getPrunePlan(mirrorConfig, storages, pinned)
+  
+  console.log(`\n🧹 Prune plan${deploy ? '' : ' (dry run)'}:`)
+  for (const item of plan) {
+    const backends = item.releases.map(entry => entry.storage.name).join(', ')
+    console.log(item.keep
+      ? `  keep    ${item.packageName}@${item.version} (${item.reasons.join(', ')})`
+      : `  delete  ${item.packageName}@${item.version} from ${backends}`)
+  }
+  if (unmanaged.length > 0) {
+    console.log(`  No retention policy, kept: ${unmanaged.join(', ')}`)
+  }
+  
+  const toDelete = plan.filter(item => !item.keep)
+  let failed = 0
+  for (const item of toDelete) {
+    for (const { storage, release } of item.releases) {
+      try {
+        await storage.deleteRelease(release)
+        if (deploy) {
+          console.log(`🗑️  Deleted ${release.tag} from ${storage.name}`)
+        }
+      } catch (error) {
+        failed++
+        console.error(`❌ Failed to delete ${release.tag} from ${storage.name}:`, error.message)
+      }
+    }
+  }
+  
+  if (deploy && toDelete.length > 0 && !await publishCatalog(mirrorConfig, storages)) {
+    failed++
+  }
+  
+  console.log(`\n📊 Summary:`)
+  console.log(`Keeping ${plan.length - toDelete.length} version(s), ${deploy ? 'deleted' : 'would delete'} ${toDelete.length}`)
+  if (!deploy && toDelete.length > 0) {
+    console.log(`\n🔍 This was a dry run. Use --deploy to actually delete releases.`)
+  }
+  if (failed > 0) {
+    process.exit(1)
+  }
+}
+
+async function planChanges(packages, storages, mirrorConfig, { pinned, includePrunes }) {
+  const actions = []
+  
+  for (const packageInfo of packages) {
+    const tagName = getTagName(packageInfo.name, packageInfo.version)
+    const artifacts = await getPackageArtifacts(packageInfo)
+    const plannedArtifacts = artifacts.map(artifact => ({ ...artifact }))
+  
+    for (const storage of storages) {
+      const release = await storage.getRelease(tagName)
+      const action = { package: packageInfo.name, version: packageInfo.version, tag: tagName, storage: storage.name, state: getReleaseState(release) }
+      if (!release) {
+        actions.push({ type: 'create', ...action, url: null, artifacts: plannedArtifacts })
+        continue
+      }
+  
+      const missing = findMissingAssets(release, await readReleaseManifest(storage, release), artifacts)
+      if (missing.length > 0) {
+        actions.push({ type: 'repair', ...action, url: release.url, missing, artifacts: plannedArtifacts })
+      }
+    }
+  }
+  
+  if (includePrunes) {
+    const { plan } = await getPrunePlan(mirrorConfig, storages, pinned)
+    for (const item of plan.filter(candidate => !candidate.keep)) {
+      for (const { storage, release } of item.releases) {
+        actions.push({
+          type: 'prune',
+          package: item.packageName,
+          version: item.version,
+          tag: release.tag,
+          storage: storage.name,
+          state: getReleaseState(release),
+          url: release.url
+        })
+      }
+    }
+  }
+  return actions
+}
+
+function getPlannedPackages(plan, mirrorConfig) {
+  const packagesByKey = new Map()
+  for (const action of plan.actions.filter(candidate => candidate.type !== 'prune')) {
+    const config = mirrorConfig.packages[action.package]
+    if (!config) {
+      throw new Error(`The plan caches ${action.package}, which is not declared in ${mirrorConfig.path}`)
+    }
+  
+    const key = `${action.package}@${action.version}`
+    if (!packagesByKey.has(key)) {
+      packagesByKey.set(key, {
+        name: action.package,
+        version: action.version,
+        config,
+        type: config.type,
+        sources: ['plan'],
+        artifacts: action.artifacts,
+        storageNames: []
+      })
+    }
+    packagesByKey.get(key).storageNames.push(action.storage)
+  }
+  return Array.from(packagesByKey.values())
+}
+
+function getPackageStorages(packageInfo, storages) {
+  // Planned packages only go to the backends their actions name
+  return packageInfo.storageNames
+    ? storages.filter(storage => packageInfo.storageNames.includes(storage.name))
+    : storages
+}
+
+function describeAction(action) {
+  const target = `${action.package}@${action.version} on ${action.storage}`
+  switch (action.type) {
+    case 'create':
+      return `  create  ${target} (${action.artifacts.length} asset(s))`
+    case 'repair':
+      return `  repair  ${target}, missing ${action.missing.join(', ')}`
+    default:
+      return `  prune   ${target}`
+  }
+}
+
+async function applyPrunes(actions, storages, report) {
+  for (const action of actions) {
+    const storage = storages.find(candidate => candidate.name === action.storage)
+    const entry = addPackageReport(report, { name: action.package, version: action.version })
+    const startedAt = Date.now()
+    try {
+      const release = await storage.getRelease(action.tag)
+      await deleteRelease(storage, release)
+      entry.status = 'pruned'
+    } catch (error) {
+      console.error(`❌ Failed to delete ${action.tag} from ${storage.name}:`, error.message)
+      entry.status = 'failed'
+      entry.error = error.message
+    }
+    entry.durationMs = Date.now() - startedAt
+  }
+}
+
+async function serve(mirrorConfig, storages, { deploy, concurrency }) {
+  const portArg = process.argv.find(arg => arg.startsWith('--port='))
+  const hostArg = process.argv.find(arg => arg.startsWith('--host='))
+  const port = portArg ? Number(portArg.split('=')[1]) : 8080
+  const host = hostArg ? hostArg.split('=')[1] : '127.0.0.1'
+  const backfill = process.argv.includes('--backfill')
+  // Backfilling a version means serving the miss from upstream in the meantime
+  const proxy = backfill || process.argv.includes('--proxy')
+  
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port "${portArg.split('=')[1]}", expected a port number`)
+  }
+  
+  const limit = createLimiter(concurrency)
+  const server = createMirrorServer(storages, {
+    proxy,
+    backfill: backfill && (async (packageName, version) => {
+      const config = mirrorConfig.packages[packageName]
+      if (!config) {
+        console.log(`⏭️  ${packageName} is not declared in ${mirrorConfig.path}, not backfilling ${version}`)
+        return false
+      }
+  
+      const status = await cachePackage({ name: packageName, version, config, type: config.type, sources: ['mirror server backfill'] }, storages, { limit })
+      if (status === 'failed') {
+        throw new Error(`Caching ${config.name} ${version} failed`)
+      }
+      return status !== 'up-to-date'
+    })
+  })
+  
+  // Index before listening so the first requests don't all wait for it
+  await server.refreshIndex()
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, resolve)
+  })
+  
+  const baseUrl = `http://${host}:${server.address().port}`
+  console.log(`🌐 Mirror server listening on ${baseUrl}`)
+  console.log(`Mode: ${backfill ? `PROXY + BACKFILL${deploy ? '' : ' (DRY RUN)'}` : proxy ? 'PROXY' : 'CACHE ONLY'}`)
+  for (const line of describeLayouts(baseUrl)) {
+    console.log(`  ${line}`)
+  }
+  
+  const shutdown = () => {
+    console.log('\n👋 Shutting down mirror server')
+    server.close()
+    // Connections of long downloads would keep the process alive (Node 18.2+)
+    if (server.closeAllConnections) server.closeAllConnections()
+    cleanupRunTempDir()
+  }
+  process.once('SIGINT', shutdown)
+  process.once('SIGTERM', shutdown)
+}
+
+async function resolveAssets(command, mirrorConfig, storages) {
   const packageArg = process.argv.find(arg => arg.startsWith('--package='))
+  const platformArg = process.argv.find(arg => arg.startsWith('--platform='))
+  const archArg = process.argv.find(arg => arg.startsWith('--arch='))
+  const kindArg = process.argv.find(arg => arg.startsWith('--kind='))
+  const outputArg = process.argv.find(arg => arg.startsWith('--output='))
+  const serverArg = process.argv.find(arg => arg.startsWith('--server='))
+  const envOutputArg = process.argv.find(arg => arg.startsWith('--env-output='))
+  
+  const specificPackage = packageArg ? packageArg.slice('--package='.length) : ''
+  const versionSeparator = specificPackage.lastIndexOf('@')
+  if (versionSeparator <= 0) {
+    console.error(`${command} needs --package=name@version`)
+    process.exit(1)
+  }
+  const packageName = specificPackage.slice(0, versionSeparator)
+  const version = specificPackage.slice(versionSeparator + 1)
+  const options = {
+    platform: platformArg ? platformArg.split('=')[1] : process.platform,
+    arch: archArg ? archArg.split('=')[1] : process.arch,
+    kind: kindArg ? kindArg.slice('--kind='.length) : null
+  }
+  
+  const client = createMirrorClient({ config: mirrorConfig, storages })
+  const assets = command === 'fetch'
+    ? await client.fetch(packageName, version, { ...options, directory: outputArg ? outputArg.slice('--output='.length) : process.cwd() })
+    : await client.resolve(packageName, version, options)
+  
+  console.log(`\n📦 ${mirrorConfig.packages[packageName].name} ${version}${options.kind ? ` ${options.kind}` : ''} for ${options.platform}-${options.arch}:`)
+  for (const asset of assets) {
+    const location = asset.filepath || asset.url || 'no public URL, use fetch'
+    if (asset.source === 'mirror') {
+      console.log(`✅ ${asset.name} from ${asset.storage}: ${location}${asset.sha256 ? ` (sha256 ${asset.sha256})` : ''}`)
+    } else {
+      console.log(`⚠️  ${asset.name} is not mirrored, from upstream: ${location}`)
+    }
+  }
+  
+  const environment = client.getEnvironment(packageName, assets, { serverUrl: serverArg ? serverArg.slice('--server='.length) : null })
+  const lines = Object.entries(environment).map(([name, value]) => `${name}=${value}`)
+  if (lines.length > 0) {
+    console.log(`\nEnvironment:`)
+    for (const line of lines) {
+      console.log(`  ${line}`)
+    }
+  } else if (!serverArg && LAYOUTS.some(layout => layout.isFor(packageName, mirrorConfig.packages[packageName]))) {
+    console.log(`\n💡 Pass --server=URL of a mirror server to get the variables that install ${mirrorConfig.packages[packageName].name} from it`)
+  }
+  
+  // e.g. --env-output="$GITHUB_ENV" to hand the variables to later workflow steps (node itself claims --env-file)
+  if (envOutputArg && lines.length > 0) {
+    fs.appendFileSync(envOutputArg.slice('--env-output='.length), lines.join('\n') + '\n')
+  }
+}
+
+async function main() {
+  // `serve` runs the mirror server, `resolve` and `fetch` are for consumers, without a command the script caches packages
+  const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'cache'
+  if (!['cache', 'backfill', 'watch', 'plan', 'apply', 'prune', 'catalog', 'serve', 'resolve', 'fetch'].includes(command)) {
+    console.error(`Unknown command "${command}", expected backfill, watch, plan, apply, prune, catalog, serve, resolve, fetch or no command to cache packages`)
+    process.exit(1)
+  }
+  
+  // Applying a plan is what deploys it
+  const deploy = process.argv.includes('--deploy') || command === 'apply'
+  const verify = process.argv.includes('--verify')
+  const force = process.argv.includes('--force')
+  const verifyBeforePublish = process.argv.includes('--verify-before-publish')
+  // Backfills take versions and ranges in --package, see getBackfillPackages
+  const packageArg = ['cache', 'plan', 'watch'].includes(command) ? process.argv.find(arg => arg.startsWith('--package=')) : null
   const specificPackage = packageArg ? packageArg.split('=')[1] : null
+  // --package=electron or --package=electron@27.3.1
+  const versionSeparator = specificPackage ? specificPackage.lastIndexOf('@') : -1
+  const specificName = versionSeparator > 0 ? specificPackage.slice(0, versionSeparator) : specificPackage
+  const specificVersion = versionSeparator > 0 ? specificPackage.slice(versionSeparator + 1) : null
+  const configArg = process.argv.find(arg => arg.startsWith('--config='))
+  
+  let mirrorConfig
+  try {
+    mirrorConfig = configArg ? loadConfig(configArg.slice('--config='.length)) : loadConfig()
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+  
+  const sourceArgs = process.argv.filter(arg => arg.startsWith('--source='))
+  const sources = sourceArgs.length > 0
+    ? sourceArgs.flatMap(arg => arg.slice('--source='.length).split(',')).map(parseSourceRepo)
+    : mirrorConfig.sources
+  const concurrencyArg = process.argv.find(arg => arg.startsWith('--concurrency='))
+  const concurrency = concurrencyArg ? parseConcurrency(concurrencyArg.split('=')[1]) : DEFAULT_CONCURRENCY
+  const planArg = process.argv.find(arg => arg.startsWith('--plan='))
+  const planPath = planArg ? planArg.slice('--plan='.length) : DEFAULT_PLAN_PATH
+  const reportArg = process.argv.find(arg => arg.startsWith('--report='))
+  const reportPath = reportArg ? reportArg.slice('--report='.length) : null
+  const maxFailuresArg = process.argv.find(arg => arg.startsWith('--max-failures='))
+  const maxFailures = maxFailuresArg ? parseMaxFailures(maxFailuresArg.split('=')[1]) : 0
+  const retriesArg = process.argv.find(arg => arg.startsWith('--retries='))
+  const timeoutArg = process.argv.find(arg => arg.startsWith('--download-timeout='))
+  if (retriesArg) {
+    const retries = Number(retriesArg.split('=')[1])
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error(`Invalid --retries "${retriesArg.split('=')[1]}", expected a non-negative integer`)
+    }
+    configureDownloads({ retries })
+  }
+  const budgetArg = process.argv.find(arg => arg.startsWith('--budget='))
+  const budget = budgetArg ? Number(budgetArg.split('=')[1]) : DEFAULT_BACKFILL_BUDGET
+  if (!Number.isInteger(budget) || budget < 1) {
+    throw new Error(`Invalid --budget "${budgetArg.split('=')[1]}", expected a positive integer`)
+  }
+  if (timeoutArg) {
+    const seconds = Number(timeoutArg.split('=')[1])
+    if (!(seconds > 0)) {
+      throw new Error(`Invalid --download-timeout "${timeoutArg.split('=')[1]}", expected a number of seconds`)
+    }
+    configureDownloads({ timeout: seconds * 1000 })
+  }
+  
+  // Dry runs read from the real backends but only log what they would write
+  const storageArgs = process.argv.filter(arg => arg.startsWith('--storage='))
+  const storageNames = storageArgs.flatMap(arg => arg.slice('--storage='.length).split(','))
+  const unknownStorage = storageNames.filter(name => !mirrorConfig.storage.some(descriptor => descriptor.name === name))
+  if (unknownStorage.length > 0) {
+    console.error(`Unknown --storage ${unknownStorage.join(', ')}, configured backends: ${mirrorConfig.storage.map(descriptor => descriptor.name).join(', ')}`)
+    process.exit(1)
+  }
+  const storages = mirrorConfig.storage
+    .filter(descriptor => storageNames.length === 0 || storageNames.includes(descriptor.name))
+    .map(descriptor => {
+      const storage = createStorage(descriptor)
+      return deploy ? storage : withDryRun(storage)
+    })
+  
+  if (command === 'serve') {
+    await serve(mirrorConfig, storages, { deploy, concurrency })
+    return
+  }
+  
+  if (command === 'catalog') {
+    try {
+      if (!await publishCatalog(mirrorConfig, storages)) {
+        process.exit(1)
+      }
+    } finally {
+      cleanupRunTempDir()
+    }
+    return
+  }
+  
+  if (command === 'resolve' || command === 'fetch') {
+    try {
+      await resolveAssets(command, mirrorConfig, storages)
+    } finally {
+      cleanupRunTempDir()
+    }
+    return
+  }
   
   const token = process.env.GITHUB_TOKEN
   
@@ -577,57 +1351,214 @@ async function main() {
     console.error('GITHUB_TOKEN environment variable is required')
     process.exit(1)
   }
+  
+  if (force && !specificPackage) {
+    console.error('--force re-uploads releases from scratch and requires --package=name[@version]')
+    process.exit(1)
+  }
 
-  const octokit = new Octokit({ auth: token })
-  const packageJson = await getPackageJsonFromRepo(octokit)
+  if (specificName && !mirrorConfig.packages[specificName]) {
+    console.error(`${specificName} is not declared in ${mirrorConfig.path}, allowed packages: ${Object.keys(mirrorConfig.packages).join(', ')}`)
+    process.exit(1)
+  }
+
+  const octokit = getOctokit(token)
+  
+  console.log(`Loaded ${Object.keys(mirrorConfig.packages).length} package provider(s) from ${mirrorConfig.path}:`)
+  for (const line of describeProviders(mirrorConfig)) {
+    console.log(`  ${line}`)
+  }
+  
+  if (command === 'prune') {
+    await prune(mirrorConfig, storages, octokit, sources, { deploy })
+    return
+  }
   
-  // Get all packages from the repository's package.json
-  const allPackages = getAllPackages(packageJson)
+  // An applied plan only touches what it lists, and only if nothing changed since it was made
+  let plan = null
+  if (command === 'apply') {
+    plan = readPlan(planPath)
+    const changed = await findChangedReleases(plan, storages)
+    if (changed.length > 0) {
+      console.error(`❌ The mirror changed since ${planPath} was made, create a new plan:`)
+      for (const change of changed) {
+        console.error(`  ${change}`)
+      }
+      process.exit(1)
+    }
+  }
+  
+  // Get all packages from every workspace package.json, pinned to the versions CI installs
+  const allPackages = command === 'backfill'
+    ? await getBackfillPackages(octokit, sources, mirrorConfig)
+    : command === 'watch'
+      ? await getWatchedPackages(mirrorConfig, specificName)
+      : command === 'apply'
+        ? getPlannedPackages(plan, mirrorConfig)
+        // Plans with prunes delete what the scan didn't find, it has to be complete
+        : await getPackagesFromSources(octokit, sources, mirrorConfig.packages, { strict: command === 'plan' && !specificPackage })
   
   // Filter by specific package if requested
-  const packagesToProcess = specificPackage 
-    ? allPackages.filter(pkg => pkg.name === specificPackage)
+  let packagesToProcess = specificPackage 
+    ? allPackages.filter(pkg => pkg.name === specificName && (!specificVersion || pkg.version === specificVersion))
     : allPackages
+  // Upstream releases nobody has cached yet, reported even when the budget defers them
+  let newVersions = []
+  if (command === 'backfill' || command === 'watch') {
+    const missing = await findUncachedPackages(packagesToProcess, storages)
+    packagesToProcess = takeBudget(missing, budget)
+    if (command === 'watch') {
+      newVersions = missing.map(packageInfo => ({
+        name: packageInfo.name,
+        version: packageInfo.version,
+        prerelease: packageInfo.prerelease,
+        source: packageInfo.sources[0],
+        deferred: !packagesToProcess.includes(packageInfo)
+      }))
+    }
+  }
+  
+  if (command === 'plan') {
+    // Prunes only make sense against everything the sources pin
+    const actions = await planChanges(packagesToProcess, storages, mirrorConfig, { pinned: allPackages, includePrunes: !specificPackage })
+    const newPlan = createPlan(actions, storages)
+    writePlan(planPath, newPlan)
+    console.log(`\n📋 Plan for ${storages.map(storage => storage.name).join(', ')}:`)
+    for (const action of newPlan.actions) {
+      console.log(describeAction(action))
+    }
+    console.log(newPlan.actions.length === 0
+      ? `\n✅ Nothing to do, the mirror is up to date.`
+      : `\n📝 Wrote ${newPlan.actions.length} action(s) to ${planPath}, run apply --plan=${planPath} to carry them out.`)
+    return
+  }
+  
+  const report = createRunReport({
+    command,
+    mode: verify ? 'verify' : deploy ? 'deploy' : 'dry-run',
+    storages,
+    sources: sources.map(formatSourceRepo)
+  })
+  report.newVersions = newVersions
+  const finishRun = () => {
+    writeRunReport(finishRunReport(report, { maxFailures }), { reportPath })
+    process.exitCode = report.exitCode
+  }
   
   console.log(`🚀 Package Cache Automation`)
-  console.log(`Mode: ${deploy ? 'DEPLOY' : 'DRY RUN'}`)
-  console.log(`Source Repository: ${SOURCE_REPO.owner}/${SOURCE_REPO.repo}`)
-  console.log(`Found ${allPackages.length} total packages in package.json`)
+  console.log(`Mode: ${command === 'backfill' ? 'BACKFILL, ' : command === 'watch' ? 'WATCH, ' : ''}${command === 'apply' ? `APPLY ${planPath}` : verify ? 'VERIFY' : deploy ? 'DEPLOY' : 'DRY RUN'}`)
+  console.log(`Source Repositories: ${sources.map(formatSourceRepo).join(', ')}`)
+  console.log(`Storage: ${storages.map(storage => storage.name).join(', ')}`)
+  console.log(`Concurrency: ${concurrency}`)
+  console.log(`Found ${allPackages.length} unique whitelisted package versions`)
   console.log(`Packages to process: ${packagesToProcess.map(p => `${p.name}@${p.version}`).join(', ')}`)
   
+  if (packagesToProcess.length === 0 && command === 'backfill') {
+    console.log(`✅ Nothing to backfill, every version is cached.`)
+    finishRun()
+    return
+  }
+  if (packagesToProcess.length === 0 && command === 'watch') {
+    console.log(`✅ No new upstream releases, every watched version is cached.`)
+    finishRun()
+    return
+  }
+  const plannedPrunes = plan ? plan.actions.filter(action => action.type === 'prune') : []
+  if (packagesToProcess.length === 0 && command === 'apply') {
+    await applyPrunes(plannedPrunes, storages, report)
+    if (plannedPrunes.length > 0) {
+      report.catalog = await publishCatalog(mirrorConfig, storages) ? 'published' : 'failed'
+    }
+    finishRun()
+    return
+  }
   if (packagesToProcess.length === 0) {
     console.log(`⚠️  No whitelisted packages found to cache.`)
-    console.log(`Allowed packages: ${Array.from(ALLOWED_PACKAGES).join(', ')}`)
+    console.log(`Allowed packages: ${Object.keys(mirrorConfig.packages).join(', ')}`)
+    finishRun()
     return
   }
   
   let successCount = 0
   let totalCount = packagesToProcess.length
+  const repaired = []
   
-  for (const packageInfo of packagesToProcess) {
-    console.log(`\n${packageInfo.config.name} version: ${packageInfo.version}`)
-    
-    const success = await cachePackage(packageInfo, deploy)
-    if (success) {
-      successCount++
-      console.log(`✅ ${packageInfo.config.name} ${packageInfo.version} - SUCCESS`)
-    } else {
-      console.log(`❌ ${packageInfo.config.name} ${packageInfo.version} - FAILED`)
+  // Packages mostly wait on their transfers, so the transfer limiter is what actually bounds network and disk use
+  const packageLimit = createLimiter(concurrency)
+  const transferLimit = createLimiter(concurrency)
+  
+  let statuses
+  try {
+    statuses = await Promise.all(packagesToProcess.map(packageInfo => packageLimit(async () => {
+      console.log(`\n${packageInfo.config.name} version: ${packageInfo.version}`)
+      const entry = addPackageReport(report, packageInfo)
+      const startedAt = Date.now()
+      
+      const status = verify
+        ? (await verifyPackage(packageInfo, storages, { limit: transferLimit }) ? 'verified' : 'failed')
+        : await cachePackage(packageInfo, getPackageStorages(packageInfo, storages), { force, verifyBeforePublish, limit: transferLimit, report: entry })
+      entry.status = status
+      entry.durationMs = Date.now() - startedAt
+      if (verify && status === 'failed') {
+        entry.error = `assets don't match ${MANIFEST_FILENAME}, or couldn't be read`
+      }
+      if (status !== 'failed') {
+        console.log(`✅ ${packageInfo.config.name} ${packageInfo.version} - SUCCESS`)
+      } else {
+        console.log(`❌ ${packageInfo.config.name} ${packageInfo.version} - FAILED`)
+      }
+      return status
+    })))
+    await applyPrunes(plannedPrunes, storages, report)
+    // Every deploy run leaves a catalog that matches what it published
+    if (deploy && !verify) {
+      report.catalog = await publishCatalog(mirrorConfig, storages) ? 'published' : 'failed'
     }
+  } finally {
+    cleanupRunTempDir()
   }
   
+  packagesToProcess.forEach((packageInfo, index) => {
+    if (statuses[index] === 'repaired') {
+      repaired.push(`${packageInfo.name}@${packageInfo.version}`)
+    }
+    if (statuses[index] !== 'failed') {
+      successCount++
+    }
+  })
+  
   console.log(`\n📊 Summary:`)
   console.log(`✅ Successfully processed: ${successCount}/${totalCount} packages`)
+  if (repaired.length > 0) {
+    console.log(`🔧 Repaired incomplete releases: ${repaired.join(', ')}`)
+  }
   
-  if (successCount > 0) {
+  if (verify) {
+    if (successCount === totalCount) {
+      console.log(`\n🔒 All ${totalCount} release(s) match their manifests.`)
+    } else {
+      console.log(`\n❌ ${totalCount - successCount} release(s) failed verification.`)
+    }
+  } else if (successCount > 0) {
     if (deploy) {
-      console.log(`\n🎉 Successfully cached ${successCount} package(s) in GitHub releases!`)
+      const written = [...new Set(report.packages.flatMap(entry => entry.storages))]
+      console.log(written.length > 0
+        ? `\n🎉 Successfully cached ${successCount} package(s), uploaded to ${written.join(', ')}!`
+        : `\n🎉 Successfully cached ${successCount} package(s), all of them were already on ${storages.map(storage => storage.name).join(', ')}.`)
     } else {
       console.log(`\n🔍 This was a dry run. Use --deploy to actually create releases.`)
     }
   } else {
     console.log(`\n❌ No packages were successfully cached.`)
   }
+  
+  finishRun()
+  if (report.catalog === 'failed') {
+    console.log(`\n❌ The catalog couldn't be published to every backend.`)
+  }
+  if (report.totals.failed > maxFailures) {
+    console.log(`\n❌ ${report.totals.failed} package(s) failed, --max-failures allows ${maxFailures}.`)
+  }
 }
 
 if (require.main === module) {
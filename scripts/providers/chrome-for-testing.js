@@ -0,0 +1,33 @@
+'use strict'
+
+/**
+ * Chrome for Testing provider
+ *
+ * Downloads a Chrome for Testing binary by Chrome version, for packages that
+ * are pinned to a Chrome version directly (see lib/chrome-for-testing).
+ * Watched packages follow the Stable channel, Beta and newer are prereleases.
+ *
+ * Options:
+ *   binary: "chrome" (default), "chrome-headless-shell" or "chromedriver"
+ */
+
+const { CHROME_FOR_TESTING_PLATFORMS, getChromeForTestingUrl, listChromeForTestingReleases } = require('../lib/chrome-for-testing')
+
+const BINARIES = ['chrome', 'chrome-headless-shell', 'chromedriver']
+
+module.exports = function chromeForTestingProvider({ platforms, options = {} }) {
+  const binary = options.binary || 'chrome'
+  if (!BINARIES.includes(binary)) {
+    throw new Error(`unknown binary "${binary}", expected one of ${BINARIES.join(', ')}`)
+  }
+
+  const unsupported = platforms.filter(target => !CHROME_FOR_TESTING_PLATFORMS[`${target.platform}-${target.arch}`])
+  if (unsupported.length > 0) {
+    throw new Error(`Chrome for Testing has no ${unsupported.map(target => `${target.platform}-${target.arch}`).join(', ')} builds`)
+  }
+
+  return {
+    getDownloadUrl: (version, platform, arch) => getChromeForTestingUrl(version, platform, arch, binary),
+    listVersions: listChromeForTestingReleases
+  }
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+/**
+ * Mozilla provider
+ *
+ * Checks downloads from download.mozilla.org against the SHA256SUMS of the
+ * release directory the download redirected into. The download URL itself
+ * comes from the package's `url` template. Watched packages list releases
+ * from product-details, betas (134.0b5) are prereleases and ESRs are left out.
+ */
+
+const { fetchJson } = require('../lib/http')
+const { getShasumsHash } = require('../lib/integrity')
+
+const ARCHIVE_URL = 'https://archive.mozilla.org/pub'
+const PRODUCT_DETAILS_URL = 'https://product-details.mozilla.org/1.0'
+
+module.exports = function mozillaProvider() {
+  return {
+    getExpectedHash: (version, platform, arch, download) => {
+      // download.mozilla.org redirects into a release directory that has a SHA256SUMS for every build
+      const match = new URL(download.finalUrl).pathname.match(/^\/pub\/([^/]+)\/releases\/([^/]+)\/(.+)$/)
+      return match
+        ? getShasumsHash(`${ARCHIVE_URL}/${match[1]}/releases/${match[2]}/SHA256SUMS`, decodeURIComponent(match[3]))
+        : null
+    },
+    listVersions: async () => {
+      const { releases } = await fetchJson(`${PRODUCT_DETAILS_URL}/firefox.json`)
+      return Object.values(releases)
+        .filter(release => release.category !== 'esr')
+        .map(release => ({ version: release.version, prerelease: release.category === 'dev' }))
+    }
+  }
+}
@@ -0,0 +1,24 @@
+'use strict'
+
+/**
+ * Playwright provider
+ *
+ * Lists the browser builds a Playwright release downloads, read from the
+ * browsers.json of the matching playwright-core version (see lib/playwright).
+ *
+ * Options:
+ *   browsers: "all" (default), "chromium", "firefox" or "webkit"
+ */
+
+const { PLAYWRIGHT_BROWSERS, getPlaywrightArtifacts } = require('../lib/playwright')
+
+module.exports = function playwrightProvider({ platforms, options = {} }) {
+  const browsers = options.browsers || 'all'
+  if (!PLAYWRIGHT_BROWSERS[browsers]) {
+    throw new Error(`unknown browsers "${browsers}", expected one of ${Object.keys(PLAYWRIGHT_BROWSERS).join(', ')}`)
+  }
+
+  return {
+    resolveArtifacts: (version) => getPlaywrightArtifacts(version, PLAYWRIGHT_BROWSERS[browsers], platforms)
+  }
+}
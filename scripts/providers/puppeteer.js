@@ -0,0 +1,22 @@
+'use strict'
+
+/**
+ * Puppeteer provider
+ *
+ * Lists the Chrome for Testing builds a Puppeteer release pins in
+ * puppeteer-core's revisions module (see lib/puppeteer).
+ */
+
+const { CHROME_FOR_TESTING_PLATFORMS } = require('../lib/chrome-for-testing')
+const { getPuppeteerArtifacts } = require('../lib/puppeteer')
+
+module.exports = function puppeteerProvider({ packageName, platforms }) {
+  const unsupported = platforms.filter(target => !CHROME_FOR_TESTING_PLATFORMS[`${target.platform}-${target.arch}`])
+  if (unsupported.length > 0) {
+    throw new Error(`Chrome for Testing has no ${unsupported.map(target => `${target.platform}-${target.arch}`).join(', ')} builds`)
+  }
+
+  return {
+    resolveArtifacts: (version) => getPuppeteerArtifacts(packageName, version, platforms)
+  }
+}